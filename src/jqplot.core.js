@@ -437,6 +437,11 @@
      *     are parsed.
      * $.jqplot.postParseSeriesOptionsHooks - called after series related options
      *     are parsed.
+     * $.jqplot.postNormalizeDataHooks - called with the series data as given,
+     *     before null points are handled and transforms applied.  Called again
+     *     with the points added by appendData.
+     * $.jqplot.postAppendDataHooks - called after points are appended to a series
+     *     with appendData, before the series axes are rescaled.
      * $.jqplot.eventListenerHooks - called at the end of plot drawing, binds
      *     listeners to the event canvas which lays on top of the grid area.
      * $.jqplot.preDrawSeriesShadowHooks - called before series shadows are drawn.
@@ -458,6 +463,8 @@
     $.jqplot.postSeriesInitHooks = [];
     $.jqplot.preParseSeriesOptionsHooks = [];
     $.jqplot.postParseSeriesOptionsHooks = [];
+    $.jqplot.postNormalizeDataHooks = [];
+    $.jqplot.postAppendDataHooks = [];
     $.jqplot.eventListenerHooks = [];
     $.jqplot.preDrawSeriesShadowHooks = [];
     $.jqplot.postDrawSeriesShadowHooks = [];
@@ -766,6 +773,9 @@
         if (this.show) {
             this.renderer.pack.call(this, pos, offsets);
         }
+        // keep the css position so the axis can be repacked on its own,
+        // e.g. when rescaled by appendData.
+        this._packPosition = pos;
         // these properties should all be available now.
         if (this._min == null) {
             this._min = this.min;
@@ -802,6 +812,13 @@
                 if (s._type === 'line' && s.renderer.bands.show && this.name.charAt(0) !== 'x') {
                     d = [[0, s.renderer.bands._min], [1, s.renderer.bands._max]];
                 }
+                // the bottom of offset stacks is the baseline, not the data.
+                else if (s._stackBaseline && this.name.charAt(0) !== 'x') {
+                    d = d.concat(s._stackBaseline);
+                }
+                if (s._extentData) {
+                    d = d.concat(s._extentData);
+                }
 
                 var minyidx = 1, maxyidx = 1;
 
@@ -833,7 +850,12 @@
                 // every series will have a chance to set doforce to false.  once it is set to 
                 // false, it cannot be reset to true.
                 // If any series attached to axis is not a bar, wont force 0.
-                if (doforce && s.renderer.constructor !== $.jqplot.BarRenderer) {
+                if (doforce && s.renderer.constructor !== $.jqplot.BarRenderer && s.renderer.constructor !== $.jqplot.HistogramRenderer) {
+                    doforce = false;
+                }
+
+                // range bars float, so they have no baseline at 0.
+                else if (doforce && s.rangeBars) {
                     doforce = false;
                 }
 
@@ -841,7 +863,7 @@
                     doforce = false;
                 }
 
-                else if (doforce && s.renderer.constructor === $.jqplot.BarRenderer) {
+                else if (doforce && (s.renderer.constructor === $.jqplot.BarRenderer || s.renderer.constructor === $.jqplot.HistogramRenderer)) {
                     if (s.barDirection == 'vertical' && this.name != 'xaxis' && this.name != 'x2axis') { 
                         if (this._options.pad != null || this._options.padMin != null) {
                             doforce = false;
@@ -1243,6 +1265,35 @@
         // Wether line segments should be be broken at null value.
         // False will join point on either side of line.
         this.breakOnNull = false;
+        // prop: nullHandling
+        // How null values in the data are drawn.  One of:
+        // 'gap' - break the line, fill and bands at the null value,
+        // 'zero' - plot null values as 0,
+        // 'interpolate' - plot null values linearly interpolated from the
+        // points on either side (leading and trailing nulls are dropped),
+        // 'connect' - drop null values and join the points on either side.
+        // Defaults to 'gap' if breakOnNull is true, 'connect' otherwise.
+        // Stacked series are stacked point by point, so 'connect' interpolates
+        // them and 'gap' stacks the null value with no thickness.
+        this.nullHandling = null;
+        // prop: transforms
+        // Transforms applied in order to the series data before it is plotted.
+        // Each is the name of one of the <$.jqplot.seriesTransforms> or an object
+        // with a type naming one and the options for it, like:
+        // > transforms: [{type:'movingAverage', period:10}, 'cumulative']
+        // The data is kept untransformed too, so the transforms are applied again
+        // on replot and to points added with appendData.
+        this.transforms = [];
+        // prop: transformSort
+        // Whether to sort the data by position before the transforms.
+        // null to sort when the plot sortData option is set and the positions
+        // are numbers, or dates on a date axis.  true to always sort, taking
+        // string positions as dates, false to keep the data in the order given.
+        this.transformSort = null;
+        // _rawData is the data before transforms were applied.
+        this._rawData = null;
+        // number of points given to the series so far, appended ones included.
+        this._pointCount = 0;
         // prop: markerRenderer
         // A class of a renderer which will draw marker (e.g. circle, square, ...) at the data points,
         // see <$.jqplot.MarkerRenderer>.
@@ -1315,6 +1366,13 @@
         this._intervals = {x:{}, y:{}};
         // data from the previous series, for stacked charts.
         this._prevPlotData = [];
+        // baseline of an offset stack, see the plot stackOffset option.
+        this._stackBaseline = null;
+        // share of the stack total of each point when stacking by percent.
+        this._percentValues = null;
+        // extra [x, y] points the axes take in when scaling to the series, like
+        // the edges of histogram bars.  Null coordinates are ignored.
+        this._extentData = null;
         this._prevGridData = [];
         this._stackAxis = 'y';
         this._primaryAxis = '_xaxis';
@@ -1326,6 +1384,12 @@
         this._sumy = 0;
         this._sumx = 0;
         this._type = '';
+        // prop: step
+        // Draw line series as steps rather than straight segments.  One of:
+        // 'after' - hold each value until the next point (true is the same),
+        // 'before' - change to each value at the previous point,
+        // 'middle' - change value half way between the points.
+        // Fills, bands, shadows and highlighting follow the steps.
         this.step = false;
     }
     
@@ -1536,6 +1600,226 @@
         }
     };
     
+    // Position in a point of the series, the value is at the other index.
+    function positionIndex(series) {
+        return (series._stackAxis === 'x') ? 1 : 0;
+    }
+
+    // Direction the series data is given in, horizontal bars take their
+    // position from the y value.
+    function dataDirection(series) {
+        return (series.renderer === $.jqplot.BarRenderer && series.rendererOptions && series.rendererOptions.barDirection == 'horizontal') ? 'horizontal' : 'vertical';
+    }
+
+    // True if axis is a date axis, before or after it is initialized.
+    function isDateAxis(axis) {
+        var r = axis && axis.renderer;
+        return !!($.jqplot.DateAxisRenderer && r && (r === $.jqplot.DateAxisRenderer || r.constructor === $.jqplot.DateAxisRenderer));
+    }
+
+    // A point position as a number, date strings are converted to milliseconds.
+    function positionOf(v) {
+        return (typeof(v) == "string" && $.jsDate) ? new $.jsDate(v).getTime() : v;
+    }
+
+    // A copy of point p with value v at index vidx, keeping the
+    // properties stored on the point, like its object properties.
+    function withValue(p, vidx, v) {
+        var ret = p.slice(0);
+        ret[vidx] = v;
+        for (var n in p) {
+            if (p.hasOwnProperty(n) && isNaN(n)) {
+                ret[n] = p[n];
+            }
+        }
+        return ret;
+    }
+
+    /**
+     * Namespace: $.jqplot.seriesTransforms
+     * Transforms available to the series transforms option.  Each is called with
+     * scope of the series with the data and the transform options, and returns
+     * the transformed data.  The data is sorted by position, unless the series
+     * transformSort option says otherwise.  Null values are passed through
+     * as gaps.  Custom transforms can be added here.
+     */
+    $.jqplot.seriesTransforms = {
+        // movingAverage - average of the last period (default 5) values.
+        // method is 'simple' (default), which drops the first period-1 points,
+        // or 'exponential'.
+        movingAverage: function(data, opts) {
+            var vidx = 1 - positionIndex(this),
+                period = opts.period || 5,
+                alpha = 2 / (period + 1),
+                win = [],
+                sum = 0,
+                avg = null,
+                ret = [],
+                v, i;
+            for (i=0; i<data.length; i++) {
+                v = data[i][vidx];
+                if (v == null) {
+                    ret.push(data[i]);
+                }
+                else if (opts.method === 'exponential') {
+                    avg = (avg === null) ? v : avg + alpha * (v - avg);
+                    ret.push(withValue(data[i], vidx, avg));
+                }
+                else {
+                    win.push(v);
+                    sum += v;
+                    if (win.length > period) {
+                        sum -= win.shift();
+                    }
+                    if (win.length === period) {
+                        ret.push(withValue(data[i], vidx, sum / period));
+                    }
+                }
+            }
+            return ret;
+        },
+
+        // cumulative - running total of the values.
+        cumulative: function(data, opts) {
+            var vidx = 1 - positionIndex(this),
+                sum = 0,
+                ret = [],
+                i;
+            for (i=0; i<data.length; i++) {
+                if (data[i][vidx] == null) {
+                    ret.push(data[i]);
+                }
+                else {
+                    sum += data[i][vidx];
+                    ret.push(withValue(data[i], vidx, sum));
+                }
+            }
+            return ret;
+        },
+
+        // normalize - values relative to the first non zero value, which
+        // becomes base (default 1, use 100 for an index).
+        normalize: function(data, opts) {
+            var vidx = 1 - positionIndex(this),
+                base = (opts.base != null) ? opts.base : 1,
+                first = null,
+                ret = [],
+                i;
+            for (i=0; i<data.length; i++) {
+                if (data[i][vidx]) {
+                    first = data[i][vidx];
+                    break;
+                }
+            }
+            if (first === null) {
+                return data;
+            }
+            for (i=0; i<data.length; i++) {
+                ret.push((data[i][vidx] == null) ? data[i] : withValue(data[i], vidx, data[i][vidx] / first * base));
+            }
+            return ret;
+        },
+
+        // rate - change from the previous value per unit of position, times per
+        // (default 1, e.g. 1000 for a per second rate on a date axis).  With
+        // percent true, the percent change from the previous value instead.
+        // The first point is dropped.
+        rate: function(data, opts) {
+            var pidx = positionIndex(this),
+                vidx = 1 - pidx,
+                per = opts.per || 1,
+                prev = null,
+                ret = [],
+                dp, i;
+            for (i=0; i<data.length; i++) {
+                if (data[i][vidx] == null) {
+                    ret.push(data[i]);
+                    continue;
+                }
+                if (prev) {
+                    if (opts.percent) {
+                        if (prev[vidx]) {
+                            ret.push(withValue(data[i], vidx, (data[i][vidx] - prev[vidx]) / Math.abs(prev[vidx]) * 100));
+                        }
+                    }
+                    else {
+                        dp = positionOf(data[i][pidx]) - positionOf(prev[pidx]);
+                        if (dp) {
+                            ret.push(withValue(data[i], vidx, (data[i][vidx] - prev[vidx]) / dp * per));
+                        }
+                    }
+                }
+                prev = data[i];
+            }
+            return ret;
+        },
+
+        // resample - one point per interval of position, starting from origin
+        // (default the first position rounded down to a multiple of interval).
+        // method combines the values in an interval, 'mean' (default), 'sum',
+        // 'min', 'max', 'first' or 'last'.  Empty intervals are skipped.
+        resample: function(data, opts) {
+            var pidx = positionIndex(this),
+                vidx = 1 - pidx,
+                interval = opts.interval,
+                method = opts.method || 'mean',
+                origin = opts.origin,
+                ret = [],
+                bucket = null,
+                vals = [],
+                pos, key, i;
+            if (!interval || !data.length) {
+                return data;
+            }
+            function flush() {
+                var v = vals[0], p = [], j;
+                switch (method) {
+                    case 'sum':
+                    case 'mean':
+                        v = 0;
+                        for (j=0; j<vals.length; j++) {
+                            v += vals[j];
+                        }
+                        if (method === 'mean') {
+                            v /= vals.length;
+                        }
+                        break;
+                    case 'min':
+                        v = $.jqplot.arrayMin(vals);
+                        break;
+                    case 'max':
+                        v = $.jqplot.arrayMax(vals);
+                        break;
+                    case 'last':
+                        v = vals[vals.length-1];
+                        break;
+                }
+                p[pidx] = origin + bucket * interval;
+                p[vidx] = v;
+                ret.push(p);
+            }
+            for (i=0; i<data.length; i++) {
+                if (data[i][vidx] == null) {
+                    continue;
+                }
+                pos = positionOf(data[i][pidx]);
+                if (origin == null) {
+                    origin = Math.floor(pos / interval) * interval;
+                }
+                key = Math.floor((pos - origin) / interval);
+                if (key !== bucket && vals.length) {
+                    flush();
+                    vals = [];
+                }
+                bucket = key;
+                vals.push(data[i][vidx]);
+            }
+            if (vals.length) {
+                flush();
+            }
+            return ret;
+        }
+    };
 
 
     /**
@@ -1774,11 +2058,22 @@
         // The data property is described here soley for reference. 
         // The data should be in the form of an array of 2D or 1D arrays like
         // > [ [[x1, y1], [x2, y2],...], [y1, y2, ...] ].
+        // Points can also be objects, which lets individual points carry extra information:
+        // > [ [{x:x1, y:y1, label:'a', color:'#ff0000', marker:{style:'square'}, meta:{id:1}}, ...] ]
+        // label is used for point labels and the highlighter tooltip, color colors
+        // the point's marker or bar and marker is an object of marker options for the point.
+        // The object is available as the point property of the series data points,
+        // grid data points and the neighbor object passed to data event handlers.
         this.data = [];
         // prop: dataRenderer
         // A callable which can be used to preprocess data passed into the plot.
         // Will be called with 3 arguments: the plot data, a reference to the plot,
         // and the value of dataRendererOptions.
+        // May return a Promise or jQuery Deferred instead of the data, e.g. from
+        // $.ajax.  The noDataIndicator is shown as a loading state until the
+        // promise resolves and the plot is then replotted with the resolved data.
+        // If the promise is rejected, a jqplotDataError event is triggered on the
+        // plot target with the rejection reason.
         this.dataRenderer;
         // prop: dataRendererOptions
         // Options that will be passed to the dataRenderer.
@@ -1888,8 +2183,19 @@
         this.sortData = true;
         // prop: stackSeries
         // true or false, creates a stack or "mountain" plot.
+        // Set to 'percent' to stack each point's share of the total at
+        // that point instead, so every stack adds up to 100%.  The stacked
+        // axis is then scaled from 0 to 100 and formatted as percentages.
         // Not all series renderers may implement this option.
         this.stackSeries = false;
+        // prop: stackOffset
+        // Baseline of stacked line series.  'zero' stacks up from zero.
+        // 'silhouette' centers the stacks on zero and 'wiggle' lays them
+        // out as a streamgraph, shifting the baseline to minimize how much
+        // the layers wiggle.  With the alternate offsets, the first series
+        // fills down to the baseline instead of the axis or zero, so
+        // fillToZero has no effect.  Only applies if all stacked series are lines.
+        this.stackOffset = 'zero';
         // a shortcut for axis syncTicks options.  Not implemented yet.
         this.syncXTicks = true;
         // a shortcut for axis syncTicks options.  Not implemented yet.
@@ -1913,6 +2219,12 @@
         // After plot has been visibly drawn once, it generally doesn't need redrawing if its
         // container is hidden and shown.
         this._drawCount = 0;
+        // true when drawing the noDataIndicator in place of series.
+        this._noData = false;
+        // promise returned by an asynchronous dataRenderer, if still pending.
+        this._dataPromise = null;
+        // series labels found by the dataRenderer, see $.jqplot.labelSeriesFromData.
+        this._dataLabels = null;
         // sum of y values for all series in plot.
         // used in mekko chart.
         this._sumy = 0;
@@ -1946,6 +2258,8 @@
         this.postSeriesInitHooks = new $.jqplot.HooksManager();
         this.preParseSeriesOptionsHooks = new $.jqplot.HooksManager();
         this.postParseSeriesOptionsHooks = new $.jqplot.HooksManager();
+        this.postNormalizeDataHooks = new $.jqplot.HooksManager();
+        this.postAppendDataHooks = new $.jqplot.HooksManager();
         this.eventListenerHooks = new $.jqplot.EventListenerManager();
         this.preDrawSeriesShadowHooks = new $.jqplot.HooksManager();
         this.postDrawSeriesShadowHooks = new $.jqplot.HooksManager();
@@ -2059,6 +2373,14 @@
             if (options.noDataIndicator && $.isPlainObject(options.noDataIndicator)) {
                 $.extend(true, this.noDataIndicator, options.noDataIndicator);
             }
+
+            // dataRenderer returned a promise, show the indicator as a
+            // loading state until the data arrives.
+            if (isThenable(data)) {
+                waitForData.call(this, data);
+                data = null;
+                this.noDataIndicator.show = true;
+            }
             
             if (data == null || $.isArray(data) == false || data.length == 0 || $.isArray(data[0]) == false || data[0].length == 0) {
                 
@@ -2070,33 +2392,7 @@
                     // have to be descructive here in order for plot to not try and render series.
                     // This means that $.jqplot() will have to be called again when there is data.
                     //delete options.series;
-                    
-                    for (var ax in this.noDataIndicator.axes) {
-                        for (var prop in this.noDataIndicator.axes[ax]) {
-                            this.axes[ax][prop] = this.noDataIndicator.axes[ax][prop];
-                        }
-                    }
-                    
-                    this.postDrawHooks.add(function() {
-                        var eh = this.eventCanvas.getHeight();
-                        var ew = this.eventCanvas.getWidth();
-                        var temp = $('<div class="jqplot-noData-container" style="position:absolute;"></div>');
-                        this.target.append(temp);
-                        temp.height(eh);
-                        temp.width(ew);
-                        temp.css('top', this.eventCanvas._offsets.top);
-                        temp.css('left', this.eventCanvas._offsets.left);
-                        
-                        var temp2 = $('<div class="jqplot-noData-contents" style="text-align:center; position:relative; margin-left:auto; margin-right:auto;"></div>');
-                        temp.append(temp2);
-                        temp2.html(this.noDataIndicator.indicator);
-                        var th = temp2.height();
-                        var tw = temp2.width();
-                        temp2.height(th);
-                        temp2.width(tw);
-                        temp2.css('top', (eh - th)/2 + 'px');
-                    });
-
+                    setNoData.call(this);
                 }
             }
             
@@ -2145,6 +2441,8 @@
                 this._sumx += this.series[i]._sumx;
             }
 
+            initPercentAxes.call(this);
+
             var name,
                 axis;
             for (var i=0, l=_axisNames.length; i<l; i++) {
@@ -2279,6 +2577,17 @@
                     this.dataRenderer = options.dataRenderer;
                     data = this.dataRenderer(data, this, this.dataRendererOptions);
                 }
+
+                if (isThenable(data)) {
+                    waitForData.call(this, data);
+                    data = [];
+                    setNoData.call(this);
+                }
+                else {
+                    // new data supersedes any data still loading.
+                    this._dataPromise = null;
+                    this._noData = false;
+                }
                 
                 // make a copy of the data
                 this.data = $.extend(true, [], data);
@@ -2334,6 +2643,8 @@
                 this._sumx += this.series[i]._sumx;
             }
 
+            initPercentAxes.call(this);
+
             for (var i=0, l=_axisNames.length; i<l; i++) {
                 name = _axisNames[i];
                 axis = this.axes[name];
@@ -2461,6 +2772,303 @@
             this.legend._series = this.series;
         };
         
+        function isThenable(data) {
+            return (data != null && !$.isArray(data) && $.isFunction(data.then));
+        }
+
+        // called with scope of plot.
+        // Sets up the axes and a post draw hook to show the
+        // noDataIndicator in place of any series.
+        function setNoData() {
+            for (var ax in this.noDataIndicator.axes) {
+                for (var prop in this.noDataIndicator.axes[ax]) {
+                    this.axes[ax][prop] = this.noDataIndicator.axes[ax][prop];
+                }
+            }
+            this._noData = true;
+            this.postDrawHooks.addOnce(drawNoDataIndicator);
+        }
+
+        // called with scope of plot.
+        function drawNoDataIndicator() {
+            if (!this._noData) {
+                return;
+            }
+            var eh = this.eventCanvas.getHeight();
+            var ew = this.eventCanvas.getWidth();
+            var temp = $('<div class="jqplot-noData-container" style="position:absolute;"></div>');
+            this.target.append(temp);
+            temp.height(eh);
+            temp.width(ew);
+            temp.css('top', this.eventCanvas._offsets.top);
+            temp.css('left', this.eventCanvas._offsets.left);
+            
+            var temp2 = $('<div class="jqplot-noData-contents" style="text-align:center; position:relative; margin-left:auto; margin-right:auto;"></div>');
+            temp.append(temp2);
+            temp2.html(this.noDataIndicator.indicator);
+            var th = temp2.height();
+            var tw = temp2.width();
+            temp2.height(th);
+            temp2.width(tw);
+            temp2.css('top', (eh - th)/2 + 'px');
+        }
+
+        // called with scope of plot.
+        // Replots with the data from a promise returned by the dataRenderer
+        // once it resolves, or triggers jqplotDataError if it is rejected.
+        // Only the most recent promise is honoured.
+        function waitForData(promise) {
+            var plot = this;
+            this._dataPromise = promise;
+            promise.then(function(data) {
+                // jQuery Deferreds can resolve synchronously, before the
+                // plot has been drawn, so always wait a tick.
+                setTimeout(function() {
+                    if (plot._dataPromise !== promise) {
+                        return;
+                    }
+                    plot._dataPromise = null;
+                    plot._noData = false;
+                    plot.target.trigger('jqplotPreReplot');
+                    plot.destroy();
+                    // bypass the dataRenderer, this is its output.
+                    plot.data = $.extend(true, [], data);
+                    plot.reInitialize(null, {});
+                    plot.draw();
+                    plot.target.trigger('jqplotPostReplot');
+                }, 0);
+            }, function(reason) {
+                setTimeout(function() {
+                    if (plot._dataPromise !== promise) {
+                        return;
+                    }
+                    plot._dataPromise = null;
+                    plot.target.trigger('jqplotDataError', [reason]);
+                }, 0);
+            });
+        }
+
+        // Converts an object shaped data point like {x:1, y:2, label:'a'} into a
+        // [x, y] point array.  The object rides along on the array as its point
+        // property.  A missing x (y for horizontal data) is filled in with start.
+        function pointFromObject(obj, start, dir) {
+            var x = obj.x,
+                y = obj.y;
+            if (dir == 'horizontal') {
+                y = (y == null) ? start : y;
+            }
+            else {
+                x = (x == null) ? start : x;
+            }
+            var ret = [(x === undefined) ? null : x, (y === undefined) ? null : y];
+            ret.point = obj;
+            return ret;
+        }
+
+        // Applies a series nullHandling mode to normalized data.  vidx is the
+        // index of the value (as opposed to the position) in each point.
+        function handleNulls(data, mode, vidx) {
+            var pidx = 1 - vidx,
+                ret = [],
+                prev = null,
+                i, j, next, p;
+            if (mode === 'gap') {
+                return data;
+            }
+            for (i=0; i<data.length; i++) {
+                p = data[i];
+                if (p == null || p[pidx] == null) {
+                    continue;
+                }
+                if (p[vidx] != null) {
+                    ret.push(p);
+                    prev = p;
+                }
+                else if (mode === 'zero') {
+                    p[vidx] = 0;
+                    ret.push(p);
+                }
+                else if (mode === 'interpolate' && prev) {
+                    next = null;
+                    for (j=i+1; j<data.length; j++) {
+                        if (data[j] && data[j][pidx] != null && data[j][vidx] != null) {
+                            next = data[j];
+                            break;
+                        }
+                    }
+                    if (next) {
+                        p[vidx] = (next[pidx] === prev[pidx]) ? prev[vidx] : prev[vidx] + (next[vidx] - prev[vidx]) * (p[pidx] - prev[pidx]) / (next[pidx] - prev[pidx]);
+                        ret.push(p);
+                    }
+                }
+            }
+            return ret;
+        }
+
+        // Applies the series transforms to a copy of its untransformed data.
+        // The copy is sorted first if sort is set, see the series transformSort
+        // option.  axis is the axis the positions are on.
+        function transformSeries(series, sort, axis) {
+            var d = $.extend(true, [], series._rawData),
+                pidx = positionIndex(series),
+                t, fn, i;
+            if (series.transformSort != null) {
+                sort = series.transformSort;
+            }
+            // strings are only taken as dates on a date axis, there is no
+            // telling a date string from a category name.
+            else if (sort) {
+                for (i=0; i<d.length; i++) {
+                    if (d[i][pidx] == null || (typeof(d[i][pidx]) != "number" && !isDateAxis(axis))) {
+                        sort = false;
+                        break;
+                    }
+                }
+            }
+            if (sort) {
+                d.sort(function(a, b) { return positionOf(a[pidx]) - positionOf(b[pidx]); });
+            }
+            for (i=0; i<series.transforms.length; i++) {
+                t = series.transforms[i];
+                t = (typeof(t) == "string") ? {type: t} : t;
+                fn = $.jqplot.seriesTransforms[t.type];
+                if (!fn) {
+                    throw new Error("Unknown series transform: " + t.type);
+                }
+                d = fn.call(series, d, t);
+            }
+            return d;
+        }
+
+        // called with scope of plot.
+        // Scales the axes stacked along in a percent stacked plot to
+        // 0 to 100 (-100 to 100 with negative values) and formats their
+        // ticks as percentages, unless the user specified otherwise.
+        function initPercentAxes() {
+            if (this.stackSeries !== 'percent') {
+                return;
+            }
+            var axes = {}, s, name, axis, sidx, i, j;
+            for (i=0; i<this.series.length; i++) {
+                s = this.series[i];
+                if (!s._stack) {
+                    continue;
+                }
+                name = s['_' + s._stackAxis + 'axis'].name;
+                sidx = (s._stackAxis === 'x') ? 0 : 1;
+                if (axes[name] == null) {
+                    axes[name] = false;
+                }
+                for (j=0; j<s.data.length; j++) {
+                    if (s.data[j][sidx] < 0) {
+                        axes[name] = true;
+                        break;
+                    }
+                }
+            }
+            for (name in axes) {
+                axis = this.axes[name];
+                if (axis.tickOptions.formatString == null) {
+                    axis.tickOptions.formatString = '%d%%';
+                }
+                // offset stacks are scaled around their baseline.
+                if (this.stackOffset !== 'zero') {
+                    continue;
+                }
+                // keep these in _options too, so resetting a zoom comes back to them.
+                if (axis._options.min == null) {
+                    axis.min = axis._options.min = (axes[name]) ? -100 : 0;
+                }
+                if (axis._options.max == null) {
+                    axis.max = axis._options.max = 100;
+                }
+            }
+        }
+
+        // called with scope of plot.
+        // Moves stacked line series up or down onto a baseline, so the stacks
+        // are centered on zero ('silhouette') or shaped as a streamgraph with
+        // the least wiggle in the layers ('wiggle').  The baseline is the line
+        // the first stacked series fills down to.  Only applies when all
+        // stacked series are lines.
+        function offsetStacks() {
+            var stacked = [], s, r, i, k, n, v, dv, total, below, num, mean;
+            var totals = [], baseline = [], g = [];
+            for (i=0; i<this.series.length; i++) {
+                s = this.series[i];
+                if (!s._stack) {
+                    continue;
+                }
+                r = s.renderer;
+                if (r !== $.jqplot.LineRenderer && r.constructor !== $.jqplot.LineRenderer) {
+                    return;
+                }
+                stacked.push(s);
+            }
+            if (!stacked.length) {
+                return;
+            }
+
+            // the thickness of a layer at a point, as stacked.
+            function layer(s, k) {
+                if (s._percentValues) {
+                    return s._percentValues[k] || 0;
+                }
+                return (s.data[k] && s.data[k][1]) || 0;
+            }
+
+            n = stacked[0].data.length;
+            for (k=0; k<n; k++) {
+                total = 0;
+                for (i=0; i<stacked.length; i++) {
+                    total += layer(stacked[i], k);
+                }
+                totals.push(total);
+            }
+
+            if (this.stackOffset === 'wiggle') {
+                // Byron and Wattenberg's weighted wiggle minimization.
+                g[0] = 0;
+                for (k=1; k<n; k++) {
+                    below = 0;
+                    num = 0;
+                    for (i=0; i<stacked.length; i++) {
+                        v = layer(stacked[i], k);
+                        dv = v - layer(stacked[i], k-1);
+                        num += v * (below + dv/2);
+                        below += dv;
+                    }
+                    g[k] = g[k-1] - ((totals[k]) ? num / totals[k] : 0);
+                }
+                // center the stream about zero.
+                mean = 0;
+                for (k=0; k<n; k++) {
+                    mean += g[k] + totals[k]/2;
+                }
+                mean = (n) ? mean / n : 0;
+                for (k=0; k<n; k++) {
+                    g[k] -= mean;
+                }
+            }
+            else {
+                for (k=0; k<n; k++) {
+                    g[k] = -totals[k]/2;
+                }
+            }
+
+            for (i=0; i<stacked.length; i++) {
+                s = stacked[i];
+                for (k=0; k<s._plotData.length && k<n; k++) {
+                    s._plotData[k][1] += g[k];
+                }
+            }
+            for (k=0; k<n; k++) {
+                baseline.push([stacked[0].data[k][0], g[k]]);
+            }
+            stacked[0]._stackBaseline = baseline;
+            stacked[0]._prevPlotData = baseline;
+        }
+
         // sort the series data in increasing order.
         function sortData(series) {
             var d, sd, pd, ppd, ret;
@@ -2504,6 +3112,21 @@
                 index,
                 l;
 
+            // for percent stacking, sum up the size of each stack so
+            // the values can be turned into shares of 100.
+            var totals = [];
+            if (this.stackSeries === 'percent') {
+                for (index=0, l=this.series.length; index<l; index++) {
+                    series = this.series[index];
+                    if (series.disableStack) {
+                        continue;
+                    }
+                    var tidx = (series._stackAxis === 'x') ? 0 : 1;
+                    for (var k=0, cdl=series.data.length; k<cdl; k++) {
+                        totals[k] = (totals[k] || 0) + Math.abs(series.data[k][tidx] || 0);
+                    }
+                }
+            }
 
             for (index=0, l=this.series.length; index<l; index++) {
                 series = this.series[index];
@@ -2516,18 +3139,28 @@
                 series._stackData = this._stackData[index];
                 var plotValues = {x:[], y:[]};
 
+                series._percentValues = null;
+                series._stackBaseline = null;
+
                 if (this.stackSeries && !series.disableStack) {
                     series._stack = true;
-                    ///////////////////////////
-                    // have to check for nulls
-                    ///////////////////////////
+                    // nulls are left in only by nullHandling 'gap' and
+                    // stack with no thickness, see handleNulls.
                     var sidx = (series._stackAxis === 'x') ? 0 : 1;
+                    if (this.stackSeries === 'percent') {
+                        series._percentValues = [];
+                    }
 
                     for (var k=0, cdl=cd.length; k<cdl; k++) {
                         var temp = cd[k][sidx];
                         if (temp == null) {
                             temp = 0;
                         }
+                        // stack the share of the total instead of the value.
+                        if (series._percentValues) {
+                            temp = (totals[k]) ? temp / totals[k] * 100 : 0;
+                            series._percentValues.push(temp);
+                        }
                         this._plotData[index][k][sidx] = temp;
                         this._stackData[index][k][sidx] = temp;
 
@@ -2562,6 +3195,9 @@
                 if (index>0) {
                     series._prevPlotData = this.series[index-1]._plotData;
                 }
+                else {
+                    series._prevPlotData = [];
+                }
                 series._sumy = 0;
                 series._sumx = 0;
                 for (i=series.data.length-1; i>-1; i--) {
@@ -2570,6 +3206,9 @@
                 }
             }
 
+            if (this.stackSeries && this.stackOffset !== 'zero') {
+                offsetStacks.call(this);
+            }
         };
         
         // populate the _stackData and _plotData arrays for the plot and the series.
@@ -2667,6 +3306,7 @@
             this.animate = opts.animate;
             this.animateReplot = opts.animateReplot;
             this.stackSeries = opts.stackSeries;
+            this.stackOffset = (opts.stackOffset != null) ? opts.stackOffset : this.stackOffset;
             if ($.isPlainObject(opts.fillBetween)) {
 
                 var temp = ['series1', 'series2', 'color', 'baseSeries', 'fill'], 
@@ -2718,7 +3358,17 @@
                 var temp = [];
                 var i, l;
                 dir = dir || 'vertical';
-                if (!$.isArray(data[0])) {
+                if ($.isPlainObject(data[0])) {
+                    for (i=0, l=data.length; i<l; i++) {
+                        if ($.isPlainObject(data[i])) {
+                            temp.push(pointFromObject(data[i], start + i, dir));
+                        }
+                        else {
+                            temp.push($.extend(true, [], data[i]));
+                        }
+                    }
+                }
+                else if (!$.isArray(data[0])) {
                     // we have a series of scalars.  One line with just y values.
                     // turn the scalar list of data into a data array of form:
                     // [[1, data[0]], [2, data[1]], ...]
@@ -2753,13 +3403,34 @@
                 // Now go back and apply the options to the series.  Really should just do this during initializaiton, but don't want to
                 // mess up preParseSeriesOptionsHooks at this point.
                 $.extend(true, temp, sopts);
-                var dir = 'vertical';
-                if (temp.renderer === $.jqplot.BarRenderer && temp.rendererOptions && temp.rendererOptions.barDirection == 'horizontal') {
-                    dir = 'horizontal';
+                var dir = dataDirection(temp);
+                if (dir === 'horizontal') {
                     temp._stackAxis = 'x';
                     temp._primaryAxis = '_yaxis';
                 }
                 temp.data = normalizeData(this.data[i], dir, this.defaultAxisStart);
+                // hooks are given the points to work on in place and the
+                // index of the first of them in the data as given.
+                for (var j=0; j<$.jqplot.postNormalizeDataHooks.length; j++) {
+                    $.jqplot.postNormalizeDataHooks[j].call(temp, this.options.seriesDefaults, this.options.series[i], temp.data, 0);
+                }
+                for (var j=0; j<this.postNormalizeDataHooks.hooks.length; j++) {
+                    this.postNormalizeDataHooks.hooks[j].call(temp, this.options.seriesDefaults, this.options.series[i], temp.data, 0);
+                }
+                temp._pointCount = temp.data.length;
+                if (temp.nullHandling == null) {
+                    temp.nullHandling = (temp.breakOnNull) ? 'gap' : 'connect';
+                }
+                if (temp.nullHandling === 'connect' && this.stackSeries && !temp.disableStack) {
+                    temp.nullHandling = 'interpolate';
+                }
+                temp.breakOnNull = (temp.nullHandling === 'gap');
+                temp.data = handleNulls(temp.data, temp.nullHandling, (temp._stackAxis === 'x') ? 0 : 1);
+                temp._rawData = null;
+                if (temp.transforms && temp.transforms.length) {
+                    temp._rawData = temp.data;
+                    temp.data = transformSeries(temp, this.sortData, this.axes[(positionIndex(temp)) ? temp.yaxis : temp.xaxis]);
+                }
                 switch (temp.xaxis) {
                     case 'xaxis':
                         temp._xaxis = this.axes.xaxis;
@@ -2933,7 +3604,212 @@
             this.draw();
             this.target.trigger('jqplotPostRedraw');
         };
-        
+
+        // method: appendData
+        // Appends points to a series and redraws it without a full replot.
+        // Meant for live plots which receive a few points at a time.
+        // The series data, plot data and grid data are updated in place, the
+        // oldest points can be trimmed off the front of the series and the
+        // series axes are rescaled if needed.  Only the series canvases are
+        // redrawn, plus the axes and grid if the axes were rescaled.
+        //
+        // Parameters:
+        // seriesIndex - 0 based index of the series to append to.
+        // points - array of new points in the same form as series data,
+        //   e.g. [[x1, y1], [x2, y2]].  Scalar values like [y1, y2] are given
+        //   x values counting on from the last point in the series.
+        // options - optional options object.
+        //
+        // Properties:
+        // maxPoints - Maximum number of points to keep in the series.  The oldest
+        //   points are dropped once the series grows past this (default: null, keep all points).
+        // shiftAxes - true to rescale the series axes to keep the data in view (default: true).
+        //   An axis along the direction of the data with a user specified min and max keeps
+        //   its span and slides along with the newest point.  Other axes are autoscaled to
+        //   the new data bounds.
+        this.appendData = function(seriesIndex, points, options) {
+            var opts = $.extend({maxPoints: null, shiftAxes: true}, options);
+            var s = this.series[seriesIndex];
+            if (!s || !points || !points.length) {
+                return;
+            }
+            // points go into the untransformed data of transformed series.
+            var d = s._rawData || s.data,
+                didx = (s._stackAxis === 'x') ? 1 : 0,
+                dir = dataDirection(s),
+                gidx = (dir === 'horizontal') ? 1 : 0,
+                next = (d.length) ? d[d.length-1][didx] + 1 : this.defaultAxisStart,
+                given = (this.data[seriesIndex] || []).slice(0),
+                added = [],
+                unsorted = false,
+                trimmed = 0,
+                changed = [],
+                axes, axis, db, span, pos, p, i, l;
+
+            // points are given like the series data was, normalize them the
+            // same way before they are added.
+            for (i=0, l=points.length; i<l; i++) {
+                p = points[i];
+                if ($.isPlainObject(p)) {
+                    p = pointFromObject(p, next, dir);
+                }
+                else if (!$.isArray(p)) {
+                    p = (gidx) ? [p, next] : [next, p];
+                }
+                else {
+                    p = $.extend(true, [], p);
+                }
+                if (typeof(p[gidx]) == "number") {
+                    next = p[gidx] + 1;
+                }
+                given.push($.extend(true, [], p));
+                added.push(p);
+            }
+            for (i=0; i<$.jqplot.postNormalizeDataHooks.length; i++) {
+                $.jqplot.postNormalizeDataHooks[i].call(s, this.options.seriesDefaults, this.options.series[seriesIndex], added, s._pointCount);
+            }
+            for (i=0; i<this.postNormalizeDataHooks.hooks.length; i++) {
+                this.postNormalizeDataHooks.hooks[i].call(s, this.options.seriesDefaults, this.options.series[seriesIndex], added, s._pointCount);
+            }
+            s._pointCount += added.length;
+
+            for (i=0, l=added.length; i<l; i++) {
+                p = added[i];
+                if (s.nullHandling === 'zero' && p[didx] != null && p[1-didx] == null) {
+                    p[1-didx] = 0;
+                }
+                if (!s.breakOnNull && (p[0] == null || p[1] == null)) {
+                    continue;
+                }
+                if (d.length && p[didx] < d[d.length-1][didx]) {
+                    unsorted = true;
+                }
+                d.push(p);
+            }
+
+            if (unsorted && this.sortData && !s._rawData) {
+                sortData([s]);
+            }
+
+            if (opts.maxPoints && d.length > opts.maxPoints) {
+                trimmed = d.length - opts.maxPoints;
+                d.splice(0, trimmed);
+            }
+            if (opts.maxPoints && given.length > opts.maxPoints) {
+                given.splice(0, given.length - opts.maxPoints);
+            }
+
+            // keep the plot's copy of the data in step, as given, so a later
+            // replot picks up the appended points.
+            this.data[seriesIndex] = given;
+
+            if (s._rawData) {
+                s.data = d = transformSeries(s, this.sortData, (positionIndex(s)) ? s._yaxis : s._xaxis);
+            }
+
+            // stacked series depend on the series before them, recompute them all.
+            if (this.stackSeries) {
+                this.computePlotData();
+            }
+            else {
+                s._plotData = d;
+                s._stackData = d;
+                s._plotValues = {x:[], y:[]};
+                s._sumy = 0;
+                s._sumx = 0;
+                for (i=0, l=d.length; i<l; i++) {
+                    s._plotValues.x.push(d[i][0]);
+                    s._plotValues.y.push(d[i][1]);
+                    s._sumy += d[i][1];
+                    s._sumx += d[i][0];
+                }
+            }
+            this._sumy = 0;
+            this._sumx = 0;
+            for (i=0, l=this.series.length; i<l; i++) {
+                this._sumy += this.series[i]._sumy;
+                this._sumx += this.series[i]._sumx;
+            }
+
+            if (s._type === 'line' && s.renderer.bands.show) {
+                s.renderer.initBands.call(s, s.renderer.options, this);
+            }
+
+            for (i=0; i<$.jqplot.postAppendDataHooks.length; i++) {
+                $.jqplot.postAppendDataHooks[i].call(s, seriesIndex, this);
+            }
+            for (i=0; i<this.postAppendDataHooks.hooks.length; i++) {
+                this.postAppendDataHooks.hooks[i].call(s, seriesIndex, this);
+            }
+
+            axes = (s._xaxis === s._yaxis) ? [s._xaxis] : [s._xaxis, s._yaxis];
+            for (i=0; i<axes.length; i++) {
+                axis = axes[i];
+                axis.resetDataBounds();
+                db = axis._dataBounds;
+                if (!opts.shiftAxes || (!trimmed && db.min >= axis.min && db.max <= axis.max)) {
+                    continue;
+                }
+                if (axis === s[s._primaryAxis] && axis._options.min != null && axis._options.max != null) {
+                    if (db.max <= axis.max) {
+                        continue;
+                    }
+                    span = axis.max - axis.min;
+                    axis.max = db.max;
+                    axis.min = db.max - span;
+                }
+                else {
+                    axis.reset();
+                }
+                axis._ticks = [];
+                changed.push(axis);
+            }
+
+            // nothing to redraw into if the plot hasn't been drawn yet.
+            if (!this.grid._elem || !(this.drawIfHidden || this.target.is(':visible'))) {
+                return;
+            }
+
+            for (i=0; i<changed.length; i++) {
+                axis = changed[i];
+                if (axis._elem) {
+                    axis._elem.emptyForce();
+                    axis._elem.remove();
+                    axis._elem = null;
+                }
+                if (!axis.show) {
+                    continue;
+                }
+                this.grid._elem.before(axis.draw(this.baseCanvas._ctx, this));
+                axis.set();
+                // axes along the grid edges are positioned by their size.
+                pos = $.extend({}, axis._packPosition);
+                switch (axis.name) {
+                    case 'xaxis':
+                        pos.bottom = this._gridPadding.bottom - axis.getHeight();
+                        break;
+                    case 'x2axis':
+                        pos.top = this._gridPadding.top - axis.getHeight();
+                        break;
+                    case 'yaxis':
+                        pos.left = this._gridPadding.left - axis.getWidth();
+                        break;
+                }
+                axis.pack(pos, axis._offsets);
+            }
+
+            if (changed.length) {
+                this.grid.draw();
+            }
+
+            if (changed.length || this.stackSeries) {
+                this.drawSeries();
+            }
+            else {
+                this.drawSeries({}, seriesIndex);
+            }
+        };
+
         // method: draw
         // Draws all elements of the plot into the container.
         // Does not clear the container before drawing.
@@ -3212,11 +4088,11 @@
                 if (series2.renderer.smooth)
                     var tempgd = series2.renderer._smoothedData.slice(0).reverse();
                 else
-                    var tempgd = series2.gridData.slice(0).reverse();
+                    var tempgd = series2.renderer.stepGridData.call(series2, series2.gridData).slice(0).reverse();
                 if (series1.renderer.smooth)
                     var gd = series1.renderer._smoothedData.concat(tempgd);
                 else
-                    var gd = series1.gridData.concat(tempgd);
+                    var gd = series1.renderer.stepGridData.call(series1, series1.gridData).concat(tempgd);
                 var color = fb.color !== null ? fb.color : series[sid1].fillColor;
                 var baseSeries = fb.baseSeries !== null ? fb.baseSeries : id1;
                 var sr =
@@ -3283,6 +4159,15 @@
         
         // function to check if event location is over a area area
         function checkIntersection(gridpos, plot) {
+            var neighbor = findNeighbor(gridpos, plot);
+            // pass along the object of an object shaped data point.
+            if (neighbor && neighbor.pointIndex != null) {
+                neighbor.point = (neighbor.data && neighbor.data.point) || null;
+            }
+            return neighbor;
+        }
+
+        function findNeighbor(gridpos, plot) {
             var series = plot.series;
             var i, j, k, s, r, x, y, theta, sm, sa, minang, maxang;
             var d0, d, p, pp, points, bw, hp;
@@ -3293,16 +4178,88 @@
                 hp = s._highlightThreshold;
                 switch (s.renderer.constructor) {
                     case $.jqplot.BarRenderer:
+                    case $.jqplot.HistogramRenderer:
                         x = gridpos.x;
                         y = gridpos.y;
                         for (j=0; j<s._barPoints.length; j++) {
                             points = s._barPoints[j];
                             p = s.gridData[j];
-                            if (x>points[0][0] && x<points[2][0] && (y>points[2][1] && y<points[0][1] || y<points[2][1] && y>points[0][1])) {
+                            if (points && x>points[0][0] && x<points[2][0] && (y>points[2][1] && y<points[0][1] || y<points[2][1] && y>points[0][1])) {
                                 return {seriesIndex:s.index, pointIndex:j, gridData:p, data:s.data[j], points:s._barPoints[j]};
                             }
                         }
                         break;
+                    case $.jqplot.BoxPlotRenderer:
+                        x = gridpos.x;
+                        y = gridpos.y;
+                        for (j=0; j<s._boxPoints.length; j++) {
+                            points = s._boxPoints[j];
+                            if (points && (x>points[0][0] && x<points[2][0] || x<points[0][0] && x>points[2][0]) && (y>points[2][1] && y<points[0][1] || y<points[2][1] && y>points[0][1])) {
+                                return {seriesIndex:s.index, pointIndex:j, gridData:s.gridData[j], data:s.data[j], points:points};
+                            }
+                        }
+                        break;
+                    case $.jqplot.HeatmapRenderer:
+                        x = gridpos.x;
+                        y = gridpos.y;
+                        for (j=0; j<s._cellPoints.length; j++) {
+                            points = s._cellPoints[j];
+                            if (points && x>points[0][0] && x<points[2][0] && y>points[2][1] && y<points[0][1]) {
+                                return {seriesIndex:s.index, pointIndex:j, gridData:s.gridData[j], data:s.data[j], points:points};
+                            }
+                        }
+                        break;
+                    case $.jqplot.GanttRenderer:
+                        x = gridpos.x;
+                        y = gridpos.y;
+                        // last drawn task on top.
+                        for (j=s._taskPoints.length-1; j>=0; j--) {
+                            points = s._taskPoints[j];
+                            if (x>=points[0][0] && x<=points[2][0] && y>=points[2][1] && y<=points[0][1]) {
+                                return {seriesIndex:s.index, pointIndex:j, gridData:s.gridData[j], data:s.data[j], points:points};
+                            }
+                        }
+                        break;
+                    case $.jqplot.TreemapRenderer:
+                        x = gridpos.x;
+                        y = gridpos.y;
+                        // children are drawn after, and inside, their parents.
+                        for (j=s._nodeRects.length-1; j>=0; j--) {
+                            points = s._nodeRects[j];
+                            if (x>=points[0] && x<=points[0]+points[2] && y>=points[1] && y<=points[1]+points[3]) {
+                                return {seriesIndex:s.index, pointIndex:j, gridData:points, data:s._nodes[j], points:points};
+                            }
+                        }
+                        break;
+                    case $.jqplot.SunburstRenderer:
+                        if (!s._center) {
+                            break;
+                        }
+                        x = gridpos.x - s._center[0];
+                        y = gridpos.y - s._center[1];
+                        r = Math.sqrt(Math.pow(x, 2) + Math.pow(y, 2));
+                        // angle clockwise from the start angle, like the arcs.
+                        theta = Math.atan2(y, x) - s.startAngle/180*Math.PI;
+                        theta = ((theta % (2*Math.PI)) + 2*Math.PI) % (2*Math.PI);
+                        for (j=0; j<s._nodeArcs.length; j++) {
+                            points = s._nodeArcs[j];
+                            if (r >= points[2] && r <= points[3] && theta >= points[0] && theta <= points[1]) {
+                                return {seriesIndex:s.index, pointIndex:j, gridData:[gridpos.x, gridpos.y], data:s._nodes[j], points:points};
+                            }
+                        }
+                        break;
+                    case $.jqplot.BulletRenderer:
+                        x = gridpos.x;
+                        y = gridpos.y;
+                        // targets over bars over range bands.
+                        for (j=s._bulletRects.length-1; j>=0; j--) {
+                            points = s._bulletRects[j];
+                            if (x>=points[0] && x<=points[0]+points[2] && y>=points[1] && y<=points[1]+points[3]) {
+                                p = s._bulletParts[j];
+                                return {seriesIndex:s.index, pointIndex:p[0], gridData:s.gridData[p[0]], data:s.data[p[0]], points:points, part:p[1], bandIndex:p[2]};
+                            }
+                        }
+                        break;
                     case $.jqplot.PyramidRenderer:
                         x = gridpos.x;
                         y = gridpos.y;
@@ -3456,6 +4413,20 @@
                         }         
                         break;           
                     
+                    case $.jqplot.ViolinRenderer:
+                        if (s.renderer.mode !== 'density') {
+                            x = gridpos.x;
+                            y = gridpos.y;
+                            for (j=0; j<s._violinPoints.length; j++) {
+                                points = s._violinPoints[j];
+                                if (points && (x>points[0][0] && x<points[2][0] || x<points[0][0] && x>points[2][0]) && (y>points[2][1] && y<points[0][1] || y<points[2][1] && y>points[0][1])) {
+                                    return {seriesIndex:s.index, pointIndex:j, gridData:s.gridData[j], data:s.data[j], points:points};
+                                }
+                            }
+                            break;
+                        }
+                        // density curves are found like lines.
+                        /* falls through */
                     case $.jqplot.LineRenderer:
                         x = gridpos.x;
                         y = gridpos.y;
@@ -3494,6 +4465,8 @@
                             else {
                                 t = s.markerRenderer.size/2+s.neighborThreshold;
                                 threshold = (t > 0) ? t : 0;
+                                // a downsampled line only has grid data for the points drawn.
+                                var di = r._downsampledIndex, dj;
                                 for (var j=0; j<s.gridData.length; j++) {
                                     p = s.gridData[j];
                                     // neighbor looks different to OHLC chart.
@@ -3524,10 +4497,19 @@
                                         d = Math.sqrt( (x-p[0]) * (x-p[0]) + (y-p[1]) * (y-p[1]) );
                                         if (d <= threshold && (d <= d0 || d0 == null)) {
                                            d0 = d;
-                                           return {seriesIndex: i, pointIndex:j, gridData:p, data:s.data[j]};
+                                           dj = (di) ? di[j] : j;
+                                           return {seriesIndex: i, pointIndex:dj, gridData:p, data:s.data[dj]};
                                         }
                                     }
                                 } 
+                                // off the points, a stepped line is still near a point along its step.
+                                if (s.step && s.showLine && r.stepNeighbor) {
+                                    j = r.stepNeighbor.call(s, x, y, threshold);
+                                    if (j != null) {
+                                        dj = (di) ? di[j] : j;
+                                        return {seriesIndex: i, pointIndex:dj, gridData:s.gridData[j], data:s.data[dj]};
+                                    }
+                                }
                             }
                         }
                         break;
@@ -3825,6 +4807,28 @@
         };
     }
     
+    // Labels the series of plot with the names a data renderer found
+    // for them, like column headers, once the options are parsed.
+    // Series the user gave a label to keep theirs, null names are skipped.
+    $.jqplot.labelSeriesFromData = function(plot, labels) {
+        plot._dataLabels = labels;
+        plot.postParseOptionsHooks.addOnce(applyDataLabels);
+    };
+
+    // called with scope of plot, after options have been parsed.
+    function applyDataLabels() {
+        var labels = this._dataLabels;
+        var so = this.options.series;
+        if (!labels) {
+            return;
+        }
+        for (var i=0; i<this.series.length && i<labels.length; i++) {
+            if (labels[i] != null && !(so[i] && so[i].label)) {
+                this.series[i].label = labels[i];
+            }
+        }
+    }
+    
     
     // conpute a highlight color or array of highlight colors from given colors.
     $.jqplot.computeHighlightColors  = function(colors) {
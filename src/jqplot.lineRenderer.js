@@ -69,6 +69,23 @@
         this.renderer._lowBandGridData = [];
         this.renderer._hiBandSmoothedData = [];
         this.renderer._lowBandSmoothedData = [];
+        // downsampled plot data and the index in the plot data of each of
+        // its points, null when all the points are drawn.
+        this.renderer._downsampledData = null;
+        this.renderer._downsampledIndex = null;
+        // prop: downsample
+        // Reduce the number of points drawn for large series to about one
+        // point per pixel of the grid width.  Set to true or 'lttb' to use
+        // the Largest-Triangle-Three-Buckets algorithm, which keeps the visual
+        // shape of the line, or 'minmax' to keep the lowest and highest value
+        // for each pixel.  Only the points in view are decimated, so zooming
+        // in with the cursor plugin brings back detail.  Data should be sorted
+        // along the x axis.  Tooltips and the highlighter still use the raw data.
+        this.renderer.downsample = false;
+        // prop: downsampleThreshold
+        // Number of points to decimate down to.  Series with fewer points
+        // are drawn as is.  null to use the width of the grid in pixels.
+        this.renderer.downsampleThreshold = null;
 
         // prop: bandData
         // Data used to draw error bands or confidence intervals above/below a line.
@@ -157,9 +174,18 @@
         }
 
 
-        // smoothing is not compatible with stacked lines, disable
+        // smoothing and downsampling are not compatible with stacked lines, disable
         if (this._stack) {
             this.renderer.smooth = false;
+            this.renderer.downsample = false;
+        }
+
+        // a stepped line goes straight from level to level, no smoothing.
+        if (this.step === true) {
+            this.step = 'after';
+        }
+        if (this.step) {
+            this.renderer.smooth = false;
         }
 
         // set the shape renderer options
@@ -370,18 +396,18 @@
                 for (var i=0, l = data.length; i < l; i++) {
                     switch (afunc) {
                         case 'add':
-                            bands.hiData.push([data[i][0], data[i][1] + a]);
+                            bands.hiData.push([data[i][0], (data[i][1] == null) ? null : data[i][1] + a]);
                             break;
                         case 'multiply':
-                            bands.hiData.push([data[i][0], data[i][1] * a]);
+                            bands.hiData.push([data[i][0], (data[i][1] == null) ? null : data[i][1] * a]);
                             break;
                     }
                     switch (bfunc) {
                         case 'add':
-                            bands.lowData.push([data[i][0], data[i][1] + b]);
+                            bands.lowData.push([data[i][0], (data[i][1] == null) ? null : data[i][1] + b]);
                             break;
                         case 'multiply':
-                            bands.lowData.push([data[i][0], data[i][1] * b]);
+                            bands.lowData.push([data[i][0], (data[i][1] == null) ? null : data[i][1] * b]);
                             break;
                     }
                 }
@@ -668,6 +694,179 @@
 
         return [_smoothedData, _smoothedPlotData];
     }
+
+    //////////
+    // Downsampling
+    // Reduces large data sets to about one point per pixel before they are
+    // converted to grid coordinates and drawn.  'lttb' uses the
+    // Largest-Triangle-Three-Buckets algorithm as described in:
+    //
+    // Steinarsson, S., Downsampling Time Series for Visual Representation
+    // http://skemman.is/stream/get/1946/15343/37285/3/SS_MSthesis.pdf
+    //
+    // 'minmax' keeps the lowest and highest point in each pixel wide bucket.
+    /////////
+
+    function lttb (data, threshold) {
+        var l = data.length;
+        if (threshold >= l || threshold < 3) {
+            return data;
+        }
+        var ret = [data[0]];
+        var every = (l - 2) / (threshold - 2);
+        var a = 0;
+        var i, j, avgx, avgy, avgstart, avgend, start, end, area, maxarea, next;
+        for (i=0; i<threshold-2; i++) {
+            // average of the next bucket, the third point of the triangle.
+            avgstart = Math.floor((i + 1) * every) + 1;
+            avgend = Math.min(Math.floor((i + 2) * every) + 1, l);
+            avgx = 0;
+            avgy = 0;
+            for (j=avgstart; j<avgend; j++) {
+                avgx += data[j][0];
+                avgy += data[j][1];
+            }
+            avgx /= (avgend - avgstart);
+            avgy /= (avgend - avgstart);
+
+            // pick the point in this bucket making the largest triangle.
+            start = Math.floor(i * every) + 1;
+            end = Math.floor((i + 1) * every) + 1;
+            maxarea = -1;
+            next = start;
+            for (j=start; j<end; j++) {
+                area = Math.abs((data[a][0] - avgx) * (data[j][1] - data[a][1]) - (data[a][0] - data[j][0]) * (avgy - data[a][1]));
+                if (area > maxarea) {
+                    maxarea = area;
+                    next = j;
+                }
+            }
+            ret.push(data[next]);
+            a = next;
+        }
+        ret.push(data[l-1]);
+        return ret;
+    }
+
+    function minMax (data, threshold) {
+        var l = data.length;
+        // two points per bucket.
+        var buckets = Math.floor(threshold / 2);
+        if (threshold >= l || buckets < 2) {
+            return data;
+        }
+        var x0 = data[0][0];
+        var dx = data[l-1][0] - x0;
+        if (!dx) {
+            return data;
+        }
+        var ret = [];
+        var bucket = null;
+        var lo = null, hi = null;
+        var i, b;
+        for (i=0; i<l; i++) {
+            b = Math.min(Math.floor((data[i][0] - x0) / dx * buckets), buckets - 1);
+            if (b !== bucket) {
+                if (lo !== null) {
+                    ret.push(data[Math.min(lo, hi)]);
+                    if (lo !== hi) {
+                        ret.push(data[Math.max(lo, hi)]);
+                    }
+                }
+                bucket = b;
+                lo = hi = i;
+            }
+            else {
+                if (data[i][1] < data[lo][1]) {
+                    lo = i;
+                }
+                if (data[i][1] > data[hi][1]) {
+                    hi = i;
+                }
+            }
+        }
+        ret.push(data[Math.min(lo, hi)]);
+        if (lo !== hi) {
+            ret.push(data[Math.max(lo, hi)]);
+        }
+        // always keep the end points.
+        if (ret[ret.length-1] !== data[l-1]) {
+            ret.push(data[l-1]);
+        }
+        return ret;
+    }
+
+    // called with scope of series.
+    // Returns data clipped to the x axis range and decimated, or
+    // data itself if it is small enough to draw as is.
+    function downsampleData (data) {
+        var r = this.renderer;
+        var threshold = r.downsampleThreshold || this.canvas.getWidth();
+        if (data.length <= threshold) {
+            return data;
+        }
+        var fn = (r.downsample === 'minmax') ? minMax : lttb;
+        var xmin = this._xaxis.min;
+        var xmax = this._xaxis.max;
+        var l = data.length;
+        var start = 0;
+        var end = l - 1;
+        var i;
+
+        // only keep what is in view, plus one point either side
+        // so the line still runs off the edge of the grid.
+        for (i=0; i<l; i++) {
+            if (data[i][0] != null && data[i][0] >= xmin) {
+                start = Math.max(i - 1, 0);
+                break;
+            }
+        }
+        for (i=l-1; i>=start; i--) {
+            if (data[i][0] != null && data[i][0] <= xmax) {
+                end = Math.min(i + 1, l - 1);
+                break;
+            }
+        }
+        var visible = data.slice(start, end + 1);
+        if (visible.length <= threshold) {
+            return visible;
+        }
+
+        // decimate each unbroken run of points on its own so gaps
+        // from null values are preserved.
+        var ret = [];
+        var run = [];
+        var vl = visible.length;
+        for (i=0; i<=vl; i++) {
+            if (i < vl && visible[i][0] != null && visible[i][1] != null) {
+                run.push(visible[i]);
+            }
+            else {
+                if (run.length) {
+                    ret = ret.concat(fn(run, Math.max(Math.round(threshold * run.length / vl), 3)));
+                    run = [];
+                }
+                if (i < vl) {
+                    ret.push(visible[i]);
+                }
+            }
+        }
+        return ret;
+    }
+
+    // Indices in data of the points of sub, a subset of data
+    // in the same order.
+    function subsetIndices(data, sub) {
+        var ret = [];
+        var j = 0;
+        for (var i=0; i<sub.length; i++) {
+            while (j < data.length && data[j] !== sub[i]) {
+                j++;
+            }
+            ret.push(j);
+        }
+        return ret;
+    }
     
     // setGridData
     // converts the user data values to grid coordinates and stores them
@@ -689,6 +888,17 @@
         this.renderer._lowBandSmoothedData = [];
         var bands = this.renderer.bands;
         var hasNull = false;
+        // decimate once, makeGridData draws the same points.  gridData
+        // then only holds the points drawn, see _downsampledIndex.
+        this.renderer._downsampledData = null;
+        this.renderer._downsampledIndex = null;
+        if (this._type === 'line' && this.renderer.downsample) {
+            this.renderer._downsampledData = downsampleData.call(this, data);
+            if (this.renderer._downsampledData !== data) {
+                this.renderer._downsampledIndex = subsetIndices(data, this.renderer._downsampledData);
+                data = this.renderer._downsampledData;
+            }
+        }
         for (var i=0, l=data.length; i < l; i++) {
             // if not a line series or if no nulls in data, push the converted point onto the array.
             if (data[i][0] != null && data[i][1] != null) {
@@ -703,6 +913,10 @@
                 hasNull = true;
                 this.gridData.push([xp.call(this._xaxis, data[i][0]), null]);
             }
+            // carry along the object of object shaped points.
+            if (data[i].point) {
+                this.gridData[this.gridData.length-1].point = data[i].point;
+            }
             // if not a line series or if no nulls in data, push the converted point onto the array.
             if (pdata[i] != null && pdata[i][0] != null && pdata[i][1] != null) {
                 this._prevGridData.push([xp.call(this._xaxis, pdata[i][0]), yp.call(this._yaxis, pdata[i][1])]);
@@ -716,20 +930,20 @@
             }
         }
 
-        // don't do smoothing or bands on broken lines.
+        // don't do smoothing on broken lines, or bands unless they break with the line.
         if (hasNull) {
             this.renderer.smooth = false;
-            if (this._type === 'line') {
+            if (this._type === 'line' && this.nullHandling !== 'gap') {
                 bands.show = false;
             }
         }
 
         if (this._type === 'line' && bands.show) {
             for (var i=0, l=bands.hiData.length; i<l; i++) {
-                this.renderer._hiBandGridData.push([xp.call(this._xaxis, bands.hiData[i][0]), yp.call(this._yaxis, bands.hiData[i][1])]);
+                this.renderer._hiBandGridData.push([xp.call(this._xaxis, bands.hiData[i][0]), (bands.hiData[i][1] == null) ? null : yp.call(this._yaxis, bands.hiData[i][1])]);
             }
             for (var i=0, l=bands.lowData.length; i<l; i++) {
-                this.renderer._lowBandGridData.push([xp.call(this._xaxis, bands.lowData[i][0]), yp.call(this._yaxis, bands.lowData[i][1])]);
+                this.renderer._lowBandGridData.push([xp.call(this._xaxis, bands.lowData[i][0]), (bands.lowData[i][1] == null) ? null : yp.call(this._yaxis, bands.lowData[i][1])]);
             }
         }
 
@@ -787,12 +1001,17 @@
         this.renderer._lowBandSmoothedData = [];
         var bands = this.renderer.bands;
         var hasNull = false;
+        if (this._type === 'line' && this.renderer.downsample) {
+            if (this.renderer._downsampledData && (data === this.data || data === this._plotData)) {
+                data = this.renderer._downsampledData;
+            }
+            else {
+                data = downsampleData.call(this, data);
+            }
+        }
         for (var i=0; i<data.length; i++) {
             // if not a line series or if no nulls in data, push the converted point onto the array.
             if (data[i][0] != null && data[i][1] != null) {
-                if (this.step && i>0) {
-                    gd.push([xp.call(this._xaxis, data[i][0]), yp.call(this._yaxis, data[i-1][1])]);
-                }
                 gd.push([xp.call(this._xaxis, data[i][0]), yp.call(this._yaxis, data[i][1])]);
             }
             // else if there is a null, preserve it.
@@ -804,22 +1023,25 @@
                 hasNull = true;
                 gd.push([xp.call(this._xaxis, data[i][0]), null]);
             }
+            if (data[i].point) {
+                gd[gd.length-1].point = data[i].point;
+            }
         }
 
-        // don't do smoothing or bands on broken lines.
+        // don't do smoothing on broken lines, or bands unless they break with the line.
         if (hasNull) {
             this.renderer.smooth = false;
-            if (this._type === 'line') {
+            if (this._type === 'line' && this.nullHandling !== 'gap') {
                 bands.show = false;
             }
         }
 
         if (this._type === 'line' && bands.show) {
             for (var i=0, l=bands.hiData.length; i<l; i++) {
-                this.renderer._hiBandGridData.push([xp.call(this._xaxis, bands.hiData[i][0]), yp.call(this._yaxis, bands.hiData[i][1])]);
+                this.renderer._hiBandGridData.push([xp.call(this._xaxis, bands.hiData[i][0]), (bands.hiData[i][1] == null) ? null : yp.call(this._yaxis, bands.hiData[i][1])]);
             }
             for (var i=0, l=bands.lowData.length; i<l; i++) {
-                this.renderer._lowBandGridData.push([xp.call(this._xaxis, bands.lowData[i][0]), yp.call(this._yaxis, bands.lowData[i][1])]);
+                this.renderer._lowBandGridData.push([xp.call(this._xaxis, bands.lowData[i][0]), (bands.lowData[i][1] == null) ? null : yp.call(this._yaxis, bands.lowData[i][1])]);
             }
         }
 
@@ -868,6 +1090,32 @@
         var fill = (opts.fill != undefined) ? opts.fill : this.fill;
         var fillAndStroke = (opts.fillAndStroke != undefined) ? opts.fillAndStroke : this.fillAndStroke;
         var xmin, ymin, xmax, ymax;
+        // fill each unbroken run of points on its own when the line has gaps.
+        if (fill && showLine && this.nullHandling === 'gap' && !opts._gapRun) {
+            var runs = splitRuns(gd);
+            if (runs.length > 1) {
+                var area = [],
+                    bb = null;
+                for (i=0; i<runs.length; i++) {
+                    this.renderer.draw.call(this, ctx, runs[i], $.extend({}, options, {_gapRun: true}), plot);
+                    // closing each run's area keeps the hit test's crossing count right.
+                    area = area.concat(this._areaPoints, [this._areaPoints[0]]);
+                    if (bb === null) {
+                        bb = this._boundingBox;
+                    }
+                    else {
+                        bb = [[Math.min(bb[0][0], this._boundingBox[0][0]), Math.max(bb[0][1], this._boundingBox[0][1])],
+                            [Math.max(bb[1][0], this._boundingBox[1][0]), Math.min(bb[1][1], this._boundingBox[1][1])]];
+                    }
+                }
+                this._areaPoints = area;
+                this._boundingBox = bb;
+                return;
+            }
+        }
+        // the line, fills and shadows follow the steps, markers stay on the points.
+        var points = gd;
+        gd = this.renderer.stepGridData.call(this, gd);
         ctx.save();
         if (gd.length) {
             if (showLine) {
@@ -887,10 +1135,15 @@
                             var fasgd = gd.slice(0);
                         }
                         // if not stacked, fill down to axis
-                        if (this.index == 0 || !this._stack) {
+                        if ((this.index == 0 || !this._stack) && !this._stackBaseline) {
                         
                             var tempgd = [];
-                            var pd = (this.renderer.smooth) ? this.renderer._smoothedPlotData : this._plotData;
+                            // values of the points drawn, which may be smoothed or
+                            // downsampled and so not line up with the plot data.
+                            var pd = [];
+                            for (i=0; i<gd.length; i++) {
+                                pd.push([null, this._yaxis.series_p2u(gd[i][1])]);
+                            }
                             this._areaPoints = [];
                             var pyzero = this._yaxis.series_u2p(this.fillToValue);
                             var pxzero = this._xaxis.series_u2p(this.fillToValue);
@@ -956,7 +1209,7 @@
                         }
                         // if stacked, fill to line below 
                         else {
-                            var prev = this._prevGridData;
+                            var prev = this.renderer.stepGridData.call(this, this._prevGridData);
                             for (var i=prev.length; i>0; i--) {
                                 gd.push(prev[i-1]);
                                 // this._areaPoints.push(prev[i-1]);
@@ -977,7 +1230,7 @@
                             var fasgd = gd.slice(0);
                         }
                         // if not stacked, fill down to axis
-                        if (this.index == 0 || !this._stack) {
+                        if ((this.index == 0 || !this._stack) && !this._stackBaseline) {
                             // var gridymin = this._yaxis.series_u2p(this._yaxis.min) - this.gridBorderWidth / 2;
                             var gridymin = ctx.canvas.height;
                             // IE doesn't return new length on unshift
@@ -987,7 +1240,7 @@
                         }
                         // if stacked, fill to line below 
                         else {
-                            var prev = this._prevGridData;
+                            var prev = this.renderer.stepGridData.call(this, this._prevGridData);
                             for (var i=prev.length; i>0; i--) {
                                 gd.push(prev[i-1]);
                             }
@@ -1013,11 +1266,17 @@
                             if (this.renderer.smooth) {
                                 fasgd = this.gridData;
                             }
+                            else if (this.step) {
+                                fasgd = points;
+                            }
                             for (i=0; i<fasgd.length; i++) {
                                 var markerOptions = opts.markerOptions || {};
                                 if (this.markerOptionsCallback) {
                                     markerOptions = $.extend(true, markerOptions, this.markerOptionsCallback(plot, this, i, this.data[i], gd[i]) || {});
                                 }
+                                if (fasgd[i].point) {
+                                    markerOptions = pointMarkerOptions(markerOptions, fasgd[i].point);
+                                }
                                 this.markerRenderer.draw(fasgd[i][0], fasgd[i][1], ctx, markerOptions);
                             }
                         }
@@ -1029,20 +1288,29 @@
                         var bdat;
                         var bopts = $.extend(true, {}, opts);
                         if (this.renderer.bands.showLines) {
-                            bdat = (this.renderer.smooth) ? this.renderer._hiBandSmoothedData : this.renderer._hiBandGridData;
+                            bdat = (this.renderer.smooth) ? this.renderer._hiBandSmoothedData : this.renderer.stepGridData.call(this, this.renderer._hiBandGridData);
                             this.renderer.shapeRenderer.draw(ctx, bdat, opts);
-                            bdat = (this.renderer.smooth) ? this.renderer._lowBandSmoothedData : this.renderer._lowBandGridData;
+                            bdat = (this.renderer.smooth) ? this.renderer._lowBandSmoothedData : this.renderer.stepGridData.call(this, this.renderer._lowBandGridData);
                             this.renderer.shapeRenderer.draw(ctx, bdat, bopts);
                         }
 
                         if (this.renderer.bands.fill) {
                             if (this.renderer.smooth) {
                                 bdat = this.renderer._hiBandSmoothedData.concat(this.renderer._lowBandSmoothedData.reverse());
+                                this._areaPoints = bdat;
                             }
                             else {
-                                bdat = this.renderer._hiBandGridData.concat(this.renderer._lowBandGridData.reverse());
+                                var outlines = bandOutlines.call(this, this.renderer._hiBandGridData, this.renderer._lowBandGridData);
+                                bdat = [];
+                                this._areaPoints = [];
+                                for (i=0; i<outlines.length; i++) {
+                                    if (i) {
+                                        bdat.push([null, null]);
+                                    }
+                                    bdat = bdat.concat(outlines[i]);
+                                    this._areaPoints = this._areaPoints.concat(outlines[i], [outlines[i][0]]);
+                                }
                             }
-                            this._areaPoints = bdat;
                             bopts.closePath = true;
                             bopts.fill = true;
                             bopts.fillStyle = this.renderer.bands.fillColor;
@@ -1087,11 +1355,17 @@
                 if (this.renderer.smooth) {
                     gd = this.gridData;
                 }
+                else if (this.step) {
+                    gd = points;
+                }
                 for (i=0; i<gd.length; i++) {
                     var markerOptions = opts.markerOptions || {};
                     if (this.markerOptionsCallback) {
                         markerOptions = $.extend(true, markerOptions, this.markerOptionsCallback(plot, this, i, this.data[i], gd[i]) || {});
                     }
+                    if (gd[i].point) {
+                        markerOptions = pointMarkerOptions(markerOptions, gd[i].point);
+                    }
                     if (gd[i][0] != null && gd[i][1] != null) {
                         this.markerRenderer.draw(gd[i][0], gd[i][1], ctx, markerOptions);
                     }
@@ -1102,6 +1376,136 @@
         ctx.restore();
     };  
     
+    // Splits grid data into the runs of points between null points.
+    function splitRuns(gd) {
+        var runs = [],
+            run = [];
+        for (var i=0; i<gd.length; i++) {
+            if (gd[i][0] != null && gd[i][1] != null) {
+                run.push(gd[i]);
+            }
+            else if (run.length) {
+                runs.push(run);
+                run = [];
+            }
+        }
+        if (run.length) {
+            runs.push(run);
+        }
+        return runs;
+    }
+
+    // Outlines of a band fill, one for each run of points where both
+    // the hi and low band are defined.
+    // called with scope of series.
+    function bandOutlines(hi, low) {
+        var ret = [],
+            start = null,
+            outline, ok, i, j;
+        if (hi.length !== low.length) {
+            return [this.renderer.stepGridData.call(this, hi).concat(this.renderer.stepGridData.call(this, low).reverse())];
+        }
+        for (i=0; i<=hi.length; i++) {
+            ok = (i < hi.length && hi[i][0] != null && hi[i][1] != null && low[i][0] != null && low[i][1] != null);
+            if (ok && start === null) {
+                start = i;
+            }
+            else if (!ok && start !== null) {
+                outline = this.renderer.stepGridData.call(this, hi.slice(start, i));
+                ret.push(outline.concat(this.renderer.stepGridData.call(this, low.slice(start, i)).reverse()));
+                start = null;
+            }
+        }
+        return ret;
+    }
+
+    // Corner points a stepped line turns at going from grid point a to b.
+    // pidx is the index of the position, as opposed to the value, in the points.
+    function stepCorners(a, b, mode, pidx) {
+        var vidx = 1 - pidx,
+            c = [a[0], a[1]],
+            d = [b[0], b[1]];
+        switch (mode) {
+            case 'before':
+                c[vidx] = b[vidx];
+                return [c];
+            case 'middle':
+                c[pidx] = d[pidx] = (a[pidx] + b[pidx]) / 2;
+                return [c, d];
+            default:
+                d[vidx] = a[vidx];
+                return [d];
+        }
+    }
+
+    // stepGridData
+    // Returns grid data with the corners of the steps added between
+    // points, or the grid data itself if the series isn't stepped.
+    // The value changes at the next point for step 'after', at the
+    // point for 'before' and half way between the points for 'middle'.
+    // Called with scope of a series.
+    $.jqplot.LineRenderer.prototype.stepGridData = function(gd) {
+        if (!this.step) {
+            return gd;
+        }
+        var pidx = (this._stackAxis === 'x') ? 1 : 0,
+            ret = [];
+        for (var i=0; i<gd.length; i++) {
+            if (i && gd[i-1][0] != null && gd[i-1][1] != null && gd[i][0] != null && gd[i][1] != null) {
+                ret = ret.concat(stepCorners(gd[i-1], gd[i], this.step, pidx));
+            }
+            ret.push(gd[i]);
+        }
+        return ret;
+    };
+
+    // stepNeighbor
+    // Index of the point owning the part of a stepped line within
+    // threshold pixels of grid position x, y, or null.  A point owns
+    // the level at its value and the rise or drop leading up to it.
+    // The first part of a step is the level of the point before it,
+    // except for 'before' steps, which rise or drop first.
+    // Called with scope of a series.
+    $.jqplot.LineRenderer.prototype.stepNeighbor = function(x, y, threshold) {
+        var gd = this.gridData,
+            pidx = (this._stackAxis === 'x') ? 1 : 0,
+            path, a, b, k, dx, dy, t, px, py;
+        for (var i=1; i<gd.length; i++) {
+            if (gd[i-1][0] == null || gd[i-1][1] == null || gd[i][0] == null || gd[i][1] == null) {
+                continue;
+            }
+            path = [gd[i-1]].concat(stepCorners(gd[i-1], gd[i], this.step, pidx), [gd[i]]);
+            for (k=1; k<path.length; k++) {
+                a = path[k-1];
+                b = path[k];
+                dx = b[0] - a[0];
+                dy = b[1] - a[1];
+                t = (dx || dy) ? ((x - a[0]) * dx + (y - a[1]) * dy) / (dx * dx + dy * dy) : 0;
+                t = Math.max(0, Math.min(1, t));
+                px = a[0] + t * dx - x;
+                py = a[1] + t * dy - y;
+                if (Math.sqrt(px * px + py * py) <= threshold) {
+                    return (k == 1 && this.step !== 'before') ? i - 1 : i;
+                }
+            }
+        }
+        return null;
+    };
+
+    // Marker options for an object shaped data point, from its
+    // color and marker properties.  Returns a new object, so the
+    // options don't leak to the next point.
+    function pointMarkerOptions(markerOptions, point) {
+        var ret = $.extend(true, {}, markerOptions);
+        if (point.color) {
+            ret.color = point.color;
+        }
+        if (point.marker) {
+            $.extend(true, ret, point.marker);
+        }
+        return ret;
+    }
+
     $.jqplot.LineRenderer.prototype.drawShadow = function(ctx, gd, options) {
         // This is a no-op, shadows drawn with lines.
     };
@@ -437,6 +437,12 @@
                     // is the axis to fill toward, check to see if we can start axis at zero.
                     for (var i=0; i<this._series.length; i++) {
                         var s = this._series[i];
+                        // stacks offset onto a baseline aren't anchored at zero.
+                        if (s._stackBaseline) {
+                            forceMinZero = false;
+                            forceZeroLine = false;
+                            break;
+                        }
                         var faname = (s.fillAxis == 'x') ? s._xaxis.name : s._yaxis.name;
                         // check to see if this is the fill axis
                         if (this.name == faname) {
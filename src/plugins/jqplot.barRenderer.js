@@ -70,7 +70,42 @@
         this.shadowAlpha = 0.08;
         // prop: waterfall
         // true to enable waterfall plot.
+        // Each value is a change from the previous bar, and a total bar
+        // is added at the end.  Object shaped data points flagged with
+        // subtotal:true, like {x:'Q2', y:1250, subtotal:true}, are drawn
+        // from the baseline and reset the running total to their value.
         this.waterfall = false;
+        // prop: increaseColor
+        // Color of waterfall bars which add to the total.
+        // null to use the series color.
+        // Waterfall colors are not used when varyBarColor is true.
+        this.increaseColor = null;
+        // prop: decreaseColor
+        // Color of waterfall bars which take away from the total.
+        // null to use the series negative color.
+        this.decreaseColor = null;
+        // prop: totalColor
+        // Color of waterfall subtotal and total bars.
+        this.totalColor = '#666666';
+        // prop: showConnectors
+        // true to draw lines joining the end of each waterfall bar
+        // to the start of the next.
+        this.showConnectors = true;
+        // prop: connectorColor
+        // Color of the waterfall connector lines.
+        this.connectorColor = '#999999';
+        // prop: connectorLineWidth
+        // Width of the waterfall connector lines.
+        this.connectorLineWidth = 1;
+        // prop: connectorPattern
+        // Line pattern of the waterfall connector lines,
+        // 'dashed', 'dotted', 'solid' or an array of dash lengths.
+        this.connectorPattern = 'dashed';
+        // prop: rangeBars
+        // true to draw floating bars spanning a low and a high value.
+        // Data points are given as [category, low, high] for both
+        // vertical and horizontal bars.  Stacking is disabled.
+        this.rangeBars = false;
         // prop: groups
         // group bars into this many groups
         this.groups = 1;
@@ -138,6 +173,11 @@
             this.disableStack = true;
         }
         
+        if (this.rangeBars) {
+            this.fillToZero = false;
+            this.disableStack = true;
+        }
+        
         if (this.barDirection == 'vertical' ) {
             this._primaryAxis = '_xaxis';
             this._stackAxis = 'y';
@@ -180,16 +220,25 @@
         }
         if (this.rendererOptions.waterfall == true) {
             this._data = $.extend(true, [], this.data);
+            // what each bar shows, 'increase', 'decrease', 'subtotal' or 'total'.
+            this._waterfallTypes = [];
             var sum = 0;
             var pos = (!this.rendererOptions.barDirection || this.rendererOptions.barDirection === 'vertical' || this.transposedData === false) ? 1 : 0;
             for(var i=0; i<this.data.length; i++) {
-                sum += this.data[i][pos];
-                if (i>0) {
-                    this.data[i][pos] += this.data[i-1][pos];
+                // subtotals are absolute values, the running total restarts from them.
+                if (this.data[i].point && this.data[i].point.subtotal) {
+                    sum = this.data[i][pos];
+                    this._waterfallTypes.push('subtotal');
+                }
+                else {
+                    sum += this.data[i][pos];
+                    this.data[i][pos] = sum;
+                    this._waterfallTypes.push((this._data[i][pos] < 0) ? 'decrease' : 'increase');
                 }
             }
             this.data[this.data.length] = (pos == 1) ? [this.data.length+1, sum] : [sum, this.data.length+1];
             this._data[this._data.length] = (pos == 1) ? [this._data.length+1, sum] : [sum, this._data.length+1];
+            this._waterfallTypes.push('total');
         }
         if (this.rendererOptions.groups > 1) {
             this.breakOnNull = true;
@@ -219,6 +268,35 @@
     
     $.jqplot.preSeriesInitHooks.push(barPreInit);
     
+    // called with scope of series.
+    // Range bar points come in as [category, low, high].  Horizontal
+    // bars keep the category on the y axis, so those points are
+    // rearranged to [low, category, high].  The high values are added
+    // to the axis extents since the axes only scale to the low values.
+    function parseRangeBars(seriesDefaults, options) {
+        if (this.renderer !== $.jqplot.BarRenderer || !this.rendererOptions.rangeBars) {
+            return;
+        }
+        var horizontal = (this.rendererOptions.barDirection === 'horizontal'),
+            d = this.data,
+            cat;
+        this.disableStack = true;
+        this._extentData = [];
+        for (var i=0; i<d.length; i++) {
+            if (horizontal) {
+                cat = d[i][0];
+                d[i][0] = d[i][1];
+                d[i][1] = cat;
+                this._extentData.push([d[i][2], null]);
+            }
+            else {
+                this._extentData.push([null, d[i][2]]);
+            }
+        }
+    }
+    
+    $.jqplot.postParseSeriesOptionsHooks.push(parseRangeBars);
+    
     // needs to be called with scope of series, not renderer.
     $.jqplot.BarRenderer.prototype.calcSeriesNumbers = function() {
         var nvals = 0;
@@ -292,6 +370,53 @@
         return ret;
     }
 
+    // called with scope of series.
+    // Color for a waterfall bar based on what it shows.
+    function waterfallColor(type, positiveColor, negativeColor) {
+        switch (type) {
+            case 'subtotal':
+            case 'total':
+                return this.totalColor;
+            case 'decrease':
+                return this.decreaseColor || negativeColor;
+            default:
+                return this.increaseColor || positiveColor;
+        }
+    }
+
+    // called with scope of series.
+    // Joins the end of each waterfall bar to the facing edge of the next one.
+    function drawConnectors(ctx) {
+        var bp = this._barPoints,
+            opts = {fill:false, closePath:false, isarc:false, strokeStyle:this.connectorColor, lineWidth:this.connectorLineWidth, linePattern:this.connectorPattern},
+            a, b, lvl;
+        for (var j=1; j<bp.length; j++) {
+            a = bp[j-1];
+            b = bp[j];
+            if (!a || !b) {
+                continue;
+            }
+            if (this.barDirection == 'vertical') {
+                lvl = a[1][1];
+                if (b[0][0] > a[0][0]) {
+                    this.renderer.shapeRenderer.draw(ctx, [[a[2][0], lvl], [b[0][0], lvl]], opts);
+                }
+                else {
+                    this.renderer.shapeRenderer.draw(ctx, [[a[0][0], lvl], [b[2][0], lvl]], opts);
+                }
+            }
+            else {
+                lvl = a[2][0];
+                if (b[0][1] < a[0][1]) {
+                    this.renderer.shapeRenderer.draw(ctx, [[lvl, a[1][1]], [lvl, b[0][1]]], opts);
+                }
+                else {
+                    this.renderer.shapeRenderer.draw(ctx, [[lvl, a[0][1]], [lvl, b[1][1]]], opts);
+                }
+            }
+        }
+    }
+
     function getStart(sidx, didx, comp, plot, axis) {
         // check if sign change
         var seriesIndex = sidx,
@@ -369,17 +494,37 @@
             var base;
             var xstart; 
             var ystart;
+            var xend;
+            var yend;
+            var wtype;
+            var wtotal;
             
             if (this.barDirection == 'vertical') {
                 for (var i=0; i<gridData.length; i++) {
+                    // keep _barPoints indexed by point, nothing is drawn for nulls.
                     if (!this._stack && this.data[i][1] == null) {
+                        this._barPoints.push(null);
                         continue;
                     }
                     points = [];
                     base = gridData[i][0] + this._barNudge;
+                    yend = gridData[i][1];
+                    wtype = (this.waterfall && this._waterfallTypes) ? this._waterfallTypes[i] : null;
+                    wtotal = (wtype === 'subtotal' || wtype === 'total');
                     
+                    // range bars float from the low to the high value.
+                    // keep the bottom edge first, like other bars.
+                    if (this.rangeBars) {
+                        if (this.data[i][2] == null) {
+                            this._barPoints.push(null);
+                            continue;
+                        }
+                        ystart = Math.max(gridData[i][1], this._yaxis.series_u2p(this._plotData[i][2]));
+                        yend = Math.min(gridData[i][1], this._yaxis.series_u2p(this._plotData[i][2]));
+                    }
+
                     // stacked
-                    if (this._stack && this._prevGridData.length) {
+                    else if (this._stack && this._prevGridData.length) {
                         ystart = getStart(this.index, i, this._plotData[i][1], plot, 'y');
                     }
 
@@ -388,10 +533,10 @@
                         if (this.fillToZero) {
                             ystart = this._yaxis.series_u2p(0);
                         }
-                        else if (this.waterfall && i > 0 && i < this.gridData.length-1) {
+                        else if (this.waterfall && i > 0 && !wtotal) {
                             ystart = this.gridData[i-1][1];
                         }
-                        else if (this.waterfall && i == 0 && i < this.gridData.length-1) {
+                        else if (this.waterfall && i == 0 && !wtotal) {
                             if (this._yaxis.min <= 0 && this._yaxis.max >= 0) {
                                 ystart = this._yaxis.series_u2p(0);
                             }
@@ -402,7 +547,8 @@
                                 ystart = 0;
                             }
                         }
-                        else if (this.waterfall && i == this.gridData.length - 1) {
+                        // subtotals and the total start from the baseline.
+                        else if (this.waterfall) {
                             if (this._yaxis.min <= 0 && this._yaxis.max >= 0) {
                                 ystart = this._yaxis.series_u2p(0);
                             }
@@ -438,19 +584,28 @@
                             opts.fillStyle = positiveColor;
                         }
                     }
+                    // waterfall bars are colored by what they show,
+                    // unless the user is coloring bars individually.
+                    if (wtype && !this.varyBarColor) {
+                        opts.fillStyle = waterfallColor.call(this, wtype, positiveColor, negativeColor);
+                    }
+                    // object shaped data points can color their own bar.
+                    if (gridData[i].point && gridData[i].point.color) {
+                        opts.fillStyle = gridData[i].point.color;
+                    }
                     
                     if (!this.fillToZero || this._plotData[i][1] >= 0) { 
                         points.push([base-this.barWidth/2, ystart]);
-                        points.push([base-this.barWidth/2, gridData[i][1]]);
-                        points.push([base+this.barWidth/2, gridData[i][1]]);
+                        points.push([base-this.barWidth/2, yend]);
+                        points.push([base+this.barWidth/2, yend]);
                         points.push([base+this.barWidth/2, ystart]);
                     }
                     // for negative bars make sure points are always ordered clockwise
                     else {              
-                        points.push([base-this.barWidth/2, gridData[i][1]]);
+                        points.push([base-this.barWidth/2, yend]);
                         points.push([base-this.barWidth/2, ystart]);
                         points.push([base+this.barWidth/2, ystart]);
-                        points.push([base+this.barWidth/2, gridData[i][1]]);
+                        points.push([base+this.barWidth/2, yend]);
                     }
                     this._barPoints.push(points);
                     // now draw the shadows if not stacked.
@@ -470,13 +625,27 @@
             else if (this.barDirection == 'horizontal'){
                 for (var i=0; i<gridData.length; i++) {
                     if (!this._stack && this.data[i][0] == null) {
+                        this._barPoints.push(null);
                         continue;
                     }
                     points = [];
                     base = gridData[i][1] - this._barNudge;
-                    xstart;
+                    xend = gridData[i][0];
+                    wtype = (this.waterfall && this._waterfallTypes) ? this._waterfallTypes[i] : null;
+                    wtotal = (wtype === 'subtotal' || wtype === 'total');
                     
-                    if (this._stack && this._prevGridData.length) {
+                    // range bars float from the low to the high value.
+                    // keep the left edge first for hit testing.
+                    if (this.rangeBars) {
+                        if (this.data[i][2] == null) {
+                            this._barPoints.push(null);
+                            continue;
+                        }
+                        xstart = Math.min(gridData[i][0], this._xaxis.series_u2p(this._plotData[i][2]));
+                        xend = Math.max(gridData[i][0], this._xaxis.series_u2p(this._plotData[i][2]));
+                    }
+                    
+                    else if (this._stack && this._prevGridData.length) {
                         xstart = getStart(this.index, i, this._plotData[i][0], plot, 'x');
                     }
                     // not stacked
@@ -484,10 +653,10 @@
                         if (this.fillToZero) {
                             xstart = this._xaxis.series_u2p(0);
                         }
-                        else if (this.waterfall && i > 0 && i < this.gridData.length-1) {
+                        else if (this.waterfall && i > 0 && !wtotal) {
                             xstart = this.gridData[i-1][0];
                         }
-                        else if (this.waterfall && i == 0 && i < this.gridData.length-1) {
+                        else if (this.waterfall && i == 0 && !wtotal) {
                             if (this._xaxis.min <= 0 && this._xaxis.max >= 0) {
                                 xstart = this._xaxis.series_u2p(0);
                             }
@@ -498,7 +667,8 @@
                                 xstart = 0;
                             }
                         }
-                        else if (this.waterfall && i == this.gridData.length - 1) {
+                        // subtotals and the total start from the baseline.
+                        else if (this.waterfall) {
                             if (this._xaxis.min <= 0 && this._xaxis.max >= 0) {
                                 xstart = this._xaxis.series_u2p(0);
                             }
@@ -534,17 +704,22 @@
                             opts.fillStyle = positiveColor;
                         }                    
                     }
-                    
+                    if (wtype && !this.varyBarColor) {
+                        opts.fillStyle = waterfallColor.call(this, wtype, positiveColor, negativeColor);
+                    }
+                    if (gridData[i].point && gridData[i].point.color) {
+                        opts.fillStyle = gridData[i].point.color;
+                    }
 
                     if (!this.fillToZero || this._plotData[i][0] >= 0) {
                         points.push([xstart, base + this.barWidth / 2]);
                         points.push([xstart, base - this.barWidth / 2]);
-                        points.push([gridData[i][0], base - this.barWidth / 2]);
-                        points.push([gridData[i][0], base + this.barWidth / 2]);
+                        points.push([xend, base - this.barWidth / 2]);
+                        points.push([xend, base + this.barWidth / 2]);
                     }
                     else {
-                        points.push([gridData[i][0], base + this.barWidth / 2]);
-                        points.push([gridData[i][0], base - this.barWidth / 2]);
+                        points.push([xend, base + this.barWidth / 2]);
+                        points.push([xend, base - this.barWidth / 2]);
                         points.push([xstart, base - this.barWidth / 2]);
                         points.push([xstart, base + this.barWidth / 2]);
                     }
@@ -562,6 +737,10 @@
                     this.renderer.shapeRenderer.draw(ctx, points, opts);
                 } 
             }
+
+            if (this.waterfall && this.showConnectors) {
+                drawConnectors.call(this, ctx);
+            }
         }                
         
         if (this.highlightColors.length == 0) {
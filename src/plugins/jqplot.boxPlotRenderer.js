@@ -0,0 +1,310 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.BoxPlotRenderer
+     * jqPlot Plugin to draw box and whisker plots.
+     * 
+     * To use this plugin, include the renderer js file in 
+     * your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.boxPlotRenderer.js"></script>
+     * 
+     * Then you set the renderer in the series options on your plot:
+     * 
+     * > series: [{renderer:$.jqplot.BoxPlotRenderer}]
+     * 
+     * Each point is a position followed by the raw samples:
+     * 
+     * > dat = [['GET /', [112, 98, 130, 87, 340, ...]], ['POST /login', [210, 190, ...]], ...]
+     * 
+     * or by precomputed min, lower quartile, median, upper quartile and max,
+     * optionally followed by an array of outliers:
+     * 
+     * > dat = [['GET /', 87, 101, 112, 128, 160, [340]], ...]
+     * 
+     * For horizontal boxes, set the boxDirection option to 'horizontal' and
+     * put the position last, as with horizontal bars:
+     * 
+     * > dat = [[[112, 98, 130, 87, 340, ...], 'GET /'], ...]
+     * 
+     * The position can be on a category or a linear axis.
+     */
+    $.jqplot.BoxPlotRenderer = function(){
+        // subclass line renderer to make use of some of its methods.
+        $.jqplot.LineRenderer.call(this);
+        // prop: boxDirection
+        // 'vertical' = up and down boxes, 'horizontal' = side to side boxes.
+        this.boxDirection = 'vertical';
+        // prop: whiskers
+        // How far the whiskers reach for raw samples.  'tukey' to reach the
+        // furthest sample within whiskerRange times the interquartile range
+        // of the box, with samples beyond drawn as outliers, or 'minmax' to
+        // reach the smallest and largest sample.
+        this.whiskers = 'tukey';
+        // prop: whiskerRange
+        // Multiple of the interquartile range the 'tukey' whiskers reach.
+        this.whiskerRange = 1.5;
+        // prop: boxWidth
+        // Width of the box in pixels.  Default will auto calculate
+        // based on the spacing of the boxes.
+        this.boxWidth = 'auto';
+        // prop: fillBox
+        // true to fill the box.
+        this.fillBox = true;
+        // prop: boxFillColor
+        // Color to fill the box with.  Default is a translucent series color.
+        this.boxFillColor = null;
+        // prop: medianColor
+        // Color of the median line.  Default is series color.
+        this.medianColor = null;
+        // prop: outlierMarkerOptions
+        // Options for the <$.jqplot.MarkerRenderer> drawing the outliers.
+        // The marker color defaults to series color.
+        this.outlierMarkerOptions = {style:'circle', size:6, lineWidth:1, shadow:false};
+        this._boxWidth;
+    };
+    
+    $.jqplot.BoxPlotRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.BoxPlotRenderer.prototype.constructor = $.jqplot.BoxPlotRenderer;
+
+    var statDefaults = {
+        boxDirection: 'vertical',
+        whiskers: 'tukey',
+        whiskerRange: 1.5
+    };
+    
+    // called with scope of series.
+    $.jqplot.BoxPlotRenderer.prototype.init = function(options, plot) {
+        options = options || {};
+        // lineWidth has to be set on the series, changes in renderer
+        // constructor have no effect.  set the default here
+        // if no renderer option for lineWidth is specified.
+        this.lineWidth = options.lineWidth || 1.5;
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'boxPlot';
+        this._boxPoints = [];
+        var r = this.renderer;
+        if (r.boxFillColor == null) {
+            var c = $.jqplot.getColorComponents(this.color);
+            r.boxFillColor = 'rgba(' + c[0] + ', ' + c[1] + ', ' + c[2] + ', ' + c[3] * 0.3 + ')';
+        }
+        r.outlierRenderer = new $.jqplot.MarkerRenderer();
+        r.outlierRenderer.init($.extend({color:this.color}, r.outlierMarkerOptions));
+    };
+
+    // Value of sorted values at quantile q.
+    function quantile(sorted, q) {
+        var pos = (sorted.length - 1) * q,
+            lo = Math.floor(pos);
+        if (lo + 1 >= sorted.length) {
+            return sorted[lo];
+        }
+        return sorted[lo] + (sorted[lo+1] - sorted[lo]) * (pos - lo);
+    }
+
+    // Box statistics of a point's values, either raw samples or
+    // [min, q1, median, q3, max, outliers].
+    function boxStats(vals, o) {
+        var box, sorted = [], lofence, hifence, i;
+        if (!$.isArray(vals[0])) {
+            if (vals.length < 5 || vals[2] == null) {
+                return null;
+            }
+            return {low:vals[0], q1:vals[1], median:vals[2], q3:vals[3], high:vals[4], outliers:($.isArray(vals[5])) ? vals[5] : []};
+        }
+        for (i=0; i<vals[0].length; i++) {
+            if (vals[0][i] != null) {
+                sorted.push(vals[0][i]);
+            }
+        }
+        if (!sorted.length) {
+            return null;
+        }
+        sorted.sort(function(a, b) { return a - b; });
+        box = {q1:quantile(sorted, 0.25), median:quantile(sorted, 0.5), q3:quantile(sorted, 0.75), low:sorted[0], high:sorted[sorted.length-1], outliers:[]};
+        if (o.whiskers !== 'minmax') {
+            lofence = box.q1 - o.whiskerRange * (box.q3 - box.q1);
+            hifence = box.q3 + o.whiskerRange * (box.q3 - box.q1);
+            box.low = null;
+            box.high = null;
+            for (i=0; i<sorted.length; i++) {
+                if (sorted[i] < lofence || sorted[i] > hifence) {
+                    box.outliers.push(sorted[i]);
+                }
+                else {
+                    if (box.low === null) {
+                        box.low = sorted[i];
+                    }
+                    box.high = sorted[i];
+                }
+            }
+        }
+        return box;
+    }
+
+    // boxPlot - computes the box statistics of each point, giving a point
+    // at the median with the statistics as its box property.  Set up by
+    // the BoxPlotRenderer from the series rendererOptions.
+    $.jqplot.seriesTransforms.boxPlot = function(data, opts) {
+        var o = $.extend({}, statDefaults, this.rendererOptions, opts),
+            horizontal = (o.boxDirection === 'horizontal'),
+            ret = [],
+            p, pos, box, outer, i;
+        this._extentData = [];
+        for (i=0; i<data.length; i++) {
+            pos = (horizontal) ? data[i][data[i].length-1] : data[i][0];
+            box = boxStats((horizontal) ? data[i].slice(0, -1) : data[i].slice(1), o);
+            if (!box) {
+                continue;
+            }
+            p = (horizontal) ? [box.median, pos] : [pos, box.median];
+            p.box = box;
+            if (data[i].point) {
+                p.point = data[i].point;
+            }
+            ret.push(p);
+            // scale the value axis to the whiskers and outliers.
+            outer = [box.low, box.high].concat(box.outliers);
+            this._extentData.push((horizontal) ? [$.jqplot.arrayMin(outer), null] : [null, $.jqplot.arrayMin(outer)]);
+            this._extentData.push((horizontal) ? [$.jqplot.arrayMax(outer), null] : [null, $.jqplot.arrayMax(outer)]);
+        }
+        return ret;
+    };
+
+    // called with scope of series.
+    // Computes the box statistics of box plot series, done as a series
+    // transform so they are computed again for appended points.
+    function postParseSeriesOptions(seriesDefaults, options) {
+        if (this.renderer !== $.jqplot.BoxPlotRenderer) {
+            return;
+        }
+        if (this.rendererOptions.boxDirection === 'horizontal') {
+            this._stackAxis = 'x';
+            this._primaryAxis = '_yaxis';
+        }
+        this.disableStack = true;
+        // keep the boxes in the order given, categories don't sort.
+        this.transformSort = false;
+        if (!this._rawData) {
+            this._rawData = this.data;
+        }
+        this.transforms = this.transforms.concat(['boxPlot']);
+        this.data = $.jqplot.seriesTransforms.boxPlot.call(this, this.data, {type:'boxPlot'});
+    }
+
+    $.jqplot.postParseSeriesOptionsHooks.push(postParseSeriesOptions);
+    
+    // called within scope of series.
+    $.jqplot.BoxPlotRenderer.prototype.draw = function(ctx, gd, options) {
+        var d = this.data;
+        var r = this.renderer;
+        var horizontal = (r.boxDirection === 'horizontal');
+        var pidx = (horizontal) ? 1 : 0;
+        var vp = (horizontal) ? this._xaxis.series_u2p : this._yaxis.series_u2p;
+        var opts = (options != undefined) ? options : {};
+        var i, w, pos, box, lo, hi, q1, q3, med, body, ops, p, j;
+        // grid point of value v at pos, the other way round for horizontal boxes.
+        var pt = function(pos, v) {
+            return (horizontal) ? [v, pos] : [pos, v];
+        };
+        this._boxPoints = [];
+        ctx.save();
+        if (this.show) {
+            if (typeof(r.boxWidth) == 'number') {
+                r._boxWidth = r.boxWidth;
+            }
+            else {
+                // auto size to the closest spacing between boxes.
+                w = null;
+                for (i=1; i<gd.length; i++) {
+                    p = Math.abs(gd[i][pidx] - gd[i-1][pidx]);
+                    if (p && (w === null || p < w)) {
+                        w = p;
+                    }
+                }
+                r._boxWidth = (w === null) ? 40 : Math.min(40, w * 0.6);
+            }
+            w = r._boxWidth;
+
+            for (i=0; i<d.length; i++) {
+                box = d[i].box;
+                if (!box || gd[i][pidx] == null) {
+                    this._boxPoints.push(null);
+                    continue;
+                }
+                pos = gd[i][pidx];
+                lo = vp(box.low);
+                hi = vp(box.high);
+                q1 = vp(box.q1);
+                q3 = vp(box.q3);
+                med = vp(box.median);
+
+                // whiskers and their caps
+                r.shapeRenderer.draw(ctx, [pt(pos, q3), pt(pos, hi)], opts);
+                r.shapeRenderer.draw(ctx, [pt(pos, q1), pt(pos, lo)], opts);
+                r.shapeRenderer.draw(ctx, [pt(pos - w/4, hi), pt(pos + w/4, hi)], opts);
+                r.shapeRenderer.draw(ctx, [pt(pos - w/4, lo), pt(pos + w/4, lo)], opts);
+
+                // box from the lower to the upper quartile
+                body = (horizontal) ? [q1, pos - w/2, q3 - q1, w] : [pos - w/2, q3, w, q1 - q3];
+                if (r.fillBox) {
+                    ops = $.extend(true, {}, opts, {fillRect:true, fillStyle:r.boxFillColor});
+                    r.shapeRenderer.draw(ctx, body, ops);
+                }
+                ops = $.extend(true, {}, opts, {strokeRect:true});
+                r.shapeRenderer.draw(ctx, body, ops);
+
+                // median
+                ops = $.extend(true, {}, opts, {lineWidth:this.lineWidth * 1.5});
+                if (r.medianColor) {
+                    ops.color = r.medianColor;
+                }
+                r.shapeRenderer.draw(ctx, [pt(pos - w/2, med), pt(pos + w/2, med)], ops);
+
+                for (j=0; j<box.outliers.length; j++) {
+                    p = pt(pos, vp(box.outliers[j]));
+                    r.outlierRenderer.draw(p[0], p[1], ctx);
+                }
+
+                // hit area from whisker to whisker, corners in bar order.
+                this._boxPoints.push([pt(pos - w/2, lo), pt(pos - w/2, hi), pt(pos + w/2, hi), pt(pos + w/2, lo)]);
+            }
+        }
+        
+        ctx.restore();
+    };  
+    
+    $.jqplot.BoxPlotRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on box plots.
+    };
+    
+})(jQuery);
@@ -0,0 +1,551 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.BulletRenderer
+     * jqPlot Plugin to draw bullet charts, a compact replacement for gauges.
+     * Each bullet shows a value as a bar, a target as a marker across the
+     * bar and qualitative ranges, like poor, fair and good, as bands
+     * behind them.
+     * 
+     * To use this plugin, include the renderer js file along with the
+     * category axis renderer in your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.categoryAxisRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.bulletRenderer.js"></script>
+     * 
+     * Each point is a bullet, given as its category, value and target,
+     * with an optional object of bullet properties:
+     * 
+     * > dat = [['Revenue', 270, 250, {intervals:[150, 225, 300]}],
+     * >        ['Profit', 22.5, 27, {intervals:[20, 25, 30]}],
+     * >        ['Satisfaction', 4.6, 4.5, {intervals:[[3.5, 'Poor'], [4.25, 'Fair'], [5, 'Good']]}]]
+     * > series: [{renderer:$.jqplot.BulletRenderer}]
+     * 
+     * A bullet with a null value, one with just a target and ranges so
+     * far, is drawn without its bar.
+     * 
+     * Bullet properties are:
+     * 
+     * intervals - ranges of this bullet, overriding the series intervals.
+     * color - color of this bullet's bar, overriding the series color.
+     * 
+     * Ranges are given like the <$.jqplot.MeterGaugeRenderer> intervals.
+     * The first band starts at 0 and each band ends at its interval value.
+     * 
+     * Bullets are horizontal unless the bulletDirection renderer option is
+     * 'vertical'.  Unless other axis renderers are given, the bullets are
+     * placed on a <$.jqplot.CategoryAxisRenderer>, with the first bullet at
+     * the top for horizontal bullets.  All the bullets share the value axis.
+     * 
+     * Moving the mouse over a band, bar or target shows a tooltip for it.
+     * The jqplotDataMouseOver, jqplotDataHighlight, jqplotDataClick and
+     * jqplotDataRightClick events are triggered with the series index,
+     * bullet index, data point, the part of the bullet, 'band', 'bar' or
+     * 'target', and the index of the band, if it is one.
+     */
+    $.jqplot.BulletRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.BulletRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.BulletRenderer.prototype.constructor = $.jqplot.BulletRenderer;
+    
+    // called with scope of series.
+    $.jqplot.BulletRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: bulletDirection
+        // 'horizontal' or 'vertical' bullets.
+        this.bulletDirection = 'horizontal';
+        // prop: intervals
+        // Array of ranges drawn as bands behind every bullet.
+        // Array of form:
+        // > [value1, value2, ...]
+        // indicating the ends of the first, second, ... ranges.
+        // Ranges can be given a name and color with
+        // [value, label] or [value, label, color] arrays.
+        this.intervals = [];
+        // prop: intervalColors
+        // Array of colors to use for the range bands,
+        // darkest for the first range.
+        this.intervalColors = ['#999999', '#b3b3b3', '#cccccc', '#dddddd', '#eeeeee'];
+        // prop: bandWidth
+        // Width of the range bands across the bullet in pixels.
+        // Default is 60% of the space given to each bullet.
+        this.bandWidth = null;
+        // prop: barWidth
+        // Width of the value bar in pixels.  Default is a third of the band width.
+        this.barWidth = null;
+        // prop: targetLength
+        // Length of the target marker across the bullet in pixels.
+        // Default is 70% of the band width.
+        this.targetLength = null;
+        // prop: targetWidth
+        // Thickness of the target marker in pixels.
+        this.targetWidth = 3;
+        // prop: targetColor
+        // Color of the target marker.
+        this.targetColor = '#000000';
+        // prop: showTooltip
+        // True to show a tooltip for the band, bar or target under the mouse.
+        this.showTooltip = true;
+        // prop: barTooltipFormatString
+        // sprintf format string for the bar tooltip, given the formatted value.
+        this.barTooltipFormatString = '%s';
+        // prop: targetTooltipFormatString
+        // sprintf format string for the target tooltip, given the formatted target.
+        this.targetTooltipFormatString = 'Target: %s';
+        // prop: bandTooltipFormatString
+        // sprintf format string for the band tooltips, given the label of
+        // the range and the formatted start and end of its band.
+        this.bandTooltipFormatString = '%s: %s - %s';
+        // prop: tooltipContentEditor
+        // Function used to edit or replace the tooltip text.  Called with the
+        // tooltip string, series index, bullet index, plot and the part of
+        // the bullet, 'band', 'bar' or 'target'.  Returns the new string.
+        this.tooltipContentEditor = null;
+        // prop: tooltipOffset
+        // Pixel offset of the tooltip from the mouse.
+        this.tooltipOffset = 12;
+        // prop: highlightMouseOver
+        // True to highlight bullet parts when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on a part.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over a bullet part.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color of the outline drawn around a highlighted part.
+        this.highlightColor = 'rgba(0, 0, 0, 0.7)';
+        this._highlightedPoint = null;
+        // hit areas as [left, top, width, height], in drawing order.
+        this._bulletRects = [];
+        // [bullet index, part, band index] of each hit area.
+        this._bulletParts = [];
+
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+
+        $.extend(true, this, options);
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'bullet';
+        this.fill = false;
+        this.showMarker = false;
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+
+        // scale the value axis to 0, the targets and the ranges too.
+        var vidx = (this.bulletDirection === 'vertical') ? 1 : 0,
+            iv, i;
+        this._extentData = [];
+        for (i=0; i<this.data.length; i++) {
+            iv = bulletIntervals.call(this, i);
+            this._extentData.push(extentPoint(vidx, 0));
+            if (this.data[i][2] != null) {
+                this._extentData.push(extentPoint(vidx, this.data[i][2]));
+            }
+            if (iv.length) {
+                this._extentData.push(extentPoint(vidx, iv[iv.length-1][0]));
+            }
+        }
+
+        plot.postDrawHooks.addOnce(postPlotDraw);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+    };
+
+    // a point with only the value axis coordinate set.
+    function extentPoint(vidx, v) {
+        return (vidx === 0) ? [v, null] : [null, v];
+    }
+
+    // Turns intervals given like the meter gauge intervals into
+    // [value, label, color] arrays, in increasing order.
+    function normalizeIntervals(intervals, colors) {
+        var ret = [],
+            iv;
+        for (var i=0; i<intervals.length; i++) {
+            iv = intervals[i];
+            if (iv.length == null) {
+                iv = [iv];
+            }
+            ret.push([iv[0], (iv[1] != null) ? iv[1] : iv[0], iv[2] || colors[i % colors.length]]);
+        }
+        ret.sort(function(a, b) { return a[0] - b[0]; });
+        return ret;
+    }
+
+    // called with scope of series.
+    // Normalized [value, label, color] ranges of bullet i.  Worked out
+    // from the point each time, so points appended later get theirs too.
+    function bulletIntervals(i) {
+        var b = this.data[i][3] || {};
+        return normalizeIntervals(b.intervals || this.intervals, this.intervalColors);
+    }
+
+    // called with scope of series.
+    // Turns [category, value, target, {bullet}] points into [category, value,
+    // target, bullet record] points for vertical bullets and [value, category,
+    // target, bullet record] points for horizontal ones.  Done before null
+    // points are handled, bullets without a value yet are still drawn.
+    function parseBullets(seriesDefaults, options, points) {
+        if (this.renderer !== $.jqplot.BulletRenderer) {
+            return;
+        }
+        var horizontal = (this.rendererOptions.bulletDirection !== 'vertical'),
+            b;
+        for (var i=0; i<points.length; i++) {
+            b = $.extend({}, points[i][3], {category:points[i][0], value:points[i][1], target:points[i][2]});
+            points[i] = (horizontal) ? [b.value, b.category, b.target, b] : [b.category, b.value, b.target, b];
+        }
+        this.nullHandling = 'gap';
+        this.disableStack = true;
+        if (horizontal) {
+            this._stackAxis = 'x';
+            this._primaryAxis = '_yaxis';
+        }
+    }
+
+    $.jqplot.postNormalizeDataHooks.push(parseBullets);
+
+    // called within scope of series.
+    $.jqplot.BulletRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        var r = this.renderer;
+        var opts = $.extend({}, options, {fill:false, fillRect:true});
+        var horizontal = (this.bulletDirection !== 'vertical');
+        var vp = (horizontal) ? this._xaxis.series_u2p : this._yaxis.series_u2p;
+        var pp = (horizontal) ? this._yaxis.series_u2p : this._xaxis.series_u2p;
+        var size = Math.abs(pp(2) - pp(1));
+        var bw = (this.bandWidth != null) ? this.bandWidth : 0.6 * size;
+        var barw = (this.barWidth != null) ? this.barWidth : bw / 3;
+        var tl = (this.targetLength != null) ? this.targetLength : 0.7 * bw;
+        var vidx = (horizontal) ? 0 : 1;
+        var i, j, b, v, iv, pos, start, rect, t;
+        this._bulletRects = [];
+        this._bulletParts = [];
+
+        // rectangle spanning v1 to v2 on the value axis and w pixels across pos.
+        function span(v1, v2, w) {
+            var p1 = vp(v1),
+                p2 = vp(v2);
+            if (horizontal) {
+                return [Math.min(p1, p2), pos - w/2, Math.abs(p2 - p1), w];
+            }
+            return [pos - w/2, Math.min(p1, p2), w, Math.abs(p2 - p1)];
+        }
+
+        ctx.save();
+        if (this.show) {
+            for (i=0; i<gd.length; i++) {
+                b = this.data[i][3] || {};
+                v = this.data[i][vidx];
+                t = this.data[i][2];
+                iv = bulletIntervals.call(this, i);
+                pos = (horizontal) ? gd[i][1] : gd[i][0];
+                start = 0;
+                for (j=0; j<iv.length; j++) {
+                    rect = span(start, iv[j][0], bw);
+                    opts.fillStyle = iv[j][2];
+                    r.shapeRenderer.draw(ctx, rect, opts);
+                    this._bulletRects.push(rect);
+                    this._bulletParts.push([i, 'band', j]);
+                    start = iv[j][0];
+                }
+                if (v != null) {
+                    rect = span(0, v, barw);
+                    opts.fillStyle = b.color || this.color;
+                    r.shapeRenderer.draw(ctx, rect, opts);
+                    this._bulletRects.push(rect);
+                    this._bulletParts.push([i, 'bar', null]);
+                }
+                if (t != null) {
+                    t = vp(t);
+                    rect = (horizontal) ? [t - this.targetWidth/2, pos - tl/2, this.targetWidth, tl] : [pos - tl/2, t - this.targetWidth/2, tl, this.targetWidth];
+                    opts.fillStyle = this.targetColor;
+                    r.shapeRenderer.draw(ctx, rect, opts);
+                    // thin markers are hard to hit, give them a few more pixels.
+                    if (this.targetWidth < 6) {
+                        rect = (horizontal) ? [t - 3, rect[1], 6, rect[3]] : [rect[0], t - 3, rect[2], 6];
+                    }
+                    this._bulletRects.push(rect);
+                    this._bulletParts.push([i, 'target', null]);
+                }
+            }
+        }
+        ctx.restore();
+    };
+
+    $.jqplot.BulletRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on bullets.
+    };
+
+    // called with scope of plot.
+    // Put the bullets on a category axis, horizontal bullets
+    // with the first one at the top.
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axes = options.axes || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        var setopts = false,
+            vertical = false,
+            ro;
+        if (options.seriesDefaults.renderer == $.jqplot.BulletRenderer) {
+            setopts = true;
+            ro = options.seriesDefaults.rendererOptions;
+            vertical = (ro && ro.bulletDirection === 'vertical');
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.BulletRenderer) {
+                    setopts = true;
+                    ro = options.series[i].rendererOptions;
+                    vertical = (ro && ro.bulletDirection === 'vertical');
+                }
+            }
+        }
+        if (setopts) {
+            var xaxis = options.axes.xaxis = options.axes.xaxis || {};
+            var yaxis = options.axes.yaxis = options.axes.yaxis || {};
+            if (vertical) {
+                xaxis.renderer = xaxis.renderer || $.jqplot.CategoryAxisRenderer;
+            }
+            else if (!yaxis.renderer) {
+                yaxis.renderer = $.jqplot.CategoryAxisRenderer;
+                yaxis.rendererOptions = $.extend({reverse:true}, yaxis.rendererOptions);
+            }
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+
+    $.jqplot.preInitHooks.push(preInit);
+
+    // called within context of plot
+    // create a canvas which we can draw on and the tooltip element.
+    // insert them before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        if (this.plugins.bulletRenderer && this.plugins.bulletRenderer.highlightCanvas) {
+            this.plugins.bulletRenderer.highlightCanvas.resetCanvas();
+            this.plugins.bulletRenderer.highlightCanvas = null;
+        }
+        if (this.plugins.bulletRenderer && this.plugins.bulletRenderer.tooltipElem) {
+            this.plugins.bulletRenderer.tooltipElem.emptyForce();
+        }
+
+        this.plugins.bulletRenderer = {highlightedSeriesIndex:null, highlightedRect:null};
+        this.plugins.bulletRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+
+        this.eventCanvas._elem.before(this.plugins.bulletRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-bulletRenderer-highlight-canvas', this._plotDimensions, this));
+        this.plugins.bulletRenderer.highlightCanvas.setContext();
+
+        var elem = $(document.createElement('div'));
+        elem.addClass('jqplot-bullet-tooltip');
+        elem.css({position:'absolute', display:'none'});
+        this.eventCanvas._elem.before(elem);
+        this.plugins.bulletRenderer.tooltipElem = elem;
+        elem = null;
+
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); hideTooltip(ev.data.plot); });
+    }
+
+    // called with scope of series.
+    // Text of the tooltip for a part of a bullet.
+    function tooltipText(pidx, part, bidx, plot) {
+        var ax = (this.bulletDirection !== 'vertical') ? this._xaxis : this._yaxis;
+        var tick = ax._ticks[0];
+        var vidx = (this.bulletDirection !== 'vertical') ? 0 : 1;
+        var iv, str;
+        var fmt = function(v) {
+            return (tick) ? tick.formatter(tick.formatString, v) : String(v);
+        };
+        if (part === 'band') {
+            iv = bulletIntervals.call(this, pidx);
+            str = $.jqplot.sprintf(this.bandTooltipFormatString, iv[bidx][1], fmt((bidx > 0) ? iv[bidx-1][0] : 0), fmt(iv[bidx][0]));
+        }
+        else if (part === 'target') {
+            str = $.jqplot.sprintf(this.targetTooltipFormatString, fmt(this.data[pidx][2]));
+        }
+        else {
+            str = $.jqplot.sprintf(this.barTooltipFormatString, fmt(this.data[pidx][vidx]));
+        }
+        if ($.isFunction(this.tooltipContentEditor)) {
+            str = this.tooltipContentEditor(str, this.index, pidx, plot, part);
+        }
+        return str;
+    }
+
+    function showTooltip(plot, neighbor, gridpos) {
+        var s = plot.series[neighbor.seriesIndex];
+        var elem = plot.plugins.bulletRenderer.tooltipElem;
+        if (!s.showTooltip || !elem) {
+            return;
+        }
+        elem.html(tooltipText.call(s, neighbor.pointIndex, neighbor.part, neighbor.bandIndex, plot));
+        var x = gridpos.x + plot._gridPadding.left + s.tooltipOffset;
+        var y = gridpos.y + plot._gridPadding.top - s.tooltipOffset - elem.outerHeight(true);
+        // keep the tooltip inside the plot.
+        if (x + elem.outerWidth(true) > plot._plotDimensions.width) {
+            x = gridpos.x + plot._gridPadding.left - s.tooltipOffset - elem.outerWidth(true);
+        }
+        if (y < 0) {
+            y = gridpos.y + plot._gridPadding.top + s.tooltipOffset;
+        }
+        elem.css({left:x, top:y});
+        elem.show();
+        elem = null;
+    }
+
+    function hideTooltip(plot) {
+        if (plot.plugins.bulletRenderer && plot.plugins.bulletRenderer.tooltipElem) {
+            plot.plugins.bulletRenderer.tooltipElem.hide();
+        }
+    }
+
+    function highlight (plot, sidx, pidx, points) {
+        var s = plot.series[sidx];
+        var canvas = plot.plugins.bulletRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.bulletRenderer.highlightedSeriesIndex = sidx;
+        plot.plugins.bulletRenderer.highlightedRect = points;
+        var opts = {strokeRect:true, color:s.highlightColor, lineWidth:2};
+        s.renderer.shapeRenderer.draw(canvas._ctx, points, opts);
+        canvas = null;
+    }
+
+    function unhighlight (plot) {
+        var canvas = plot.plugins.bulletRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+        }
+        plot.plugins.bulletRenderer.highlightedSeriesIndex = null;
+        plot.plugins.bulletRenderer.highlightedRect = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas =  null;
+    }
+
+    // event arguments for a bullet neighbor, or null if the neighbor
+    // isn't on a bullet series.
+    function bulletArgs(plot, neighbor) {
+        if (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.BulletRenderer) {
+            return [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data, neighbor.part, neighbor.bandIndex];
+        }
+        return null;
+    }
+
+    // true if the part of the neighbor is the one highlighted.
+    function isHighlighted(plot, neighbor) {
+        return (neighbor.points === plot.plugins.bulletRenderer.highlightedRect);
+    }
+
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        var ins = bulletArgs(plot, neighbor);
+        if (ins) {
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            showTooltip(plot, neighbor, gridpos);
+            if (plot.series[ins[0]].show && plot.series[ins[0]].highlightMouseOver && !isHighlighted(plot, neighbor)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null) {
+            hideTooltip(plot);
+            if (plot.plugins.bulletRenderer.highlightedSeriesIndex != null) {
+                unhighlight (plot);
+            }
+        }
+    }
+
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        var ins = bulletArgs(plot, neighbor);
+        if (ins) {
+            if (plot.series[ins[0]].highlightMouseDown && !isHighlighted(plot, neighbor)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null && plot.plugins.bulletRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.bulletRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        var ins = bulletArgs(plot, neighbor);
+        if (ins) {
+            var evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        var ins = bulletArgs(plot, neighbor);
+        if (ins) {
+            var idx = plot.plugins.bulletRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+})(jQuery);
@@ -0,0 +1,270 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.csvParser
+     * Data Renderer function which converts CSV or TSV text into jqPlot data format.
+     * Set this as a callable on the jqplot dataRenderer plot option:
+     * 
+     * > plot = $.jqplot('mychart', csvText, { dataRenderer: $.jqplot.csvParser, ... });
+     * 
+     * Where csvText is a string of delimiter separated values with one data
+     * point per row.  One column holds the x values and every other column
+     * becomes a series, e.g.:
+     *
+     * > date,"Sales, EU","Sales, US"
+     * > 2011-01-01,12.5,8
+     * > 2011-02-01,,9.25
+     *
+     * Fields may be quoted with double quotes, in which case they can contain
+     * delimiters, line breaks and doubled quotes ("").  Empty fields and fields
+     * listed in nullValues become null.  Numeric fields are converted to numbers,
+     * other fields are left as strings, e.g. for use with a category axis.
+     *
+     * If the text has a header row, its column names are used as the series
+     * labels, so they show up in the legend.  Labels given in the series
+     * options take precedence.
+     * 
+     * Note that calling the renderer function is handled internally by jqPlot.  The
+     * user does not have to call the function.  The parameters described below will
+     * automatically be passed to the csvParser function.  Parsing options are
+     * given with the dataRendererOptions plot option:
+     *
+     * > plot = $.jqplot('mychart', csvText, {
+     * >     dataRenderer: $.jqplot.csvParser,
+     * >     dataRendererOptions: { delimiter: '\t', dateColumns: ['date'] },
+     * >     axes: { xaxis: { renderer: $.jqplot.DateAxisRenderer } }
+     * > });
+     * 
+     * Parameters:
+     * data - CSV or TSV encoded string.
+     * plot - reference to jqPlot Plot object.
+     * options - optional options object, see below.
+     *
+     * Properties:
+     * delimiter - field delimiter, e.g. ',', ';' or '\t' for TSV (default: ',').
+     * header - true if the first row holds column names (default: true).
+     * xColumn - index or header name of the column with the x values.  null
+     *   to use only y values, with x values generated by jqPlot (default: 0).
+     * columns - array of indices or header names of the columns to use as
+     *   series.  null to use every column but the x column (default: null).
+     * dateColumns - array of indices or header names of columns holding dates.
+     *   These are parsed with $.jsDate into javascript timestamps (default: []).
+     * nullValues - array of field values, besides empty fields, which mean
+     *   a missing value (default: ['null', 'NULL', 'NA', 'NaN', '-']).
+     * 
+     * Returns:
+     * data array in jqPlot format, one series per column.
+     * 
+     */
+    $.jqplot.csvParser = function (data, plot, options) {
+        var opts = $.extend(true, {}, $.jqplot.csvParser.defaults, options),
+            ret = [],
+            rows,
+            names = null,
+            xcol,
+            cols = [],
+            dates = {},
+            labels = [],
+            row,
+            val,
+            i, j;
+
+        if (typeof(data) != "string") {
+            return null;
+        }
+
+        rows = parseRows(data, opts.delimiter);
+        if (!rows.length) {
+            return null;
+        }
+
+        if (opts.header) {
+            names = rows.shift();
+            for (i=0; i<names.length; i++) {
+                names[i] = $.trim(names[i]);
+            }
+        }
+
+        // resolve a column given by index or header name.
+        function colIndex(c) {
+            if (typeof(c) == "string" && names) {
+                return $.inArray(c, names);
+            }
+            return (typeof(c) == "number") ? c : -1;
+        }
+
+        xcol = (opts.xColumn == null) ? -1 : colIndex(opts.xColumn);
+
+        if (opts.columns) {
+            for (i=0; i<opts.columns.length; i++) {
+                j = colIndex(opts.columns[i]);
+                if (j >= 0) {
+                    cols.push(j);
+                }
+            }
+        }
+        else {
+            var ncols = (names) ? names.length : rows[0].length;
+            for (i=0; i<ncols; i++) {
+                if (i !== xcol) {
+                    cols.push(i);
+                }
+            }
+        }
+
+        for (i=0; i<opts.dateColumns.length; i++) {
+            j = colIndex(opts.dateColumns[i]);
+            if (j >= 0) {
+                dates[j] = true;
+            }
+        }
+
+        for (j=0; j<cols.length; j++) {
+            ret.push([]);
+            labels.push((names && names[cols[j]] != null) ? names[cols[j]] : null);
+        }
+
+        for (i=0; i<rows.length; i++) {
+            row = rows[i];
+            // skip blank lines.
+            if (row.length == 1 && $.trim(row[0]) === '') {
+                continue;
+            }
+            for (j=0; j<cols.length; j++) {
+                val = convert(row[cols[j]], dates[cols[j]], opts.nullValues);
+                if (xcol >= 0) {
+                    ret[j].push([convert(row[xcol], dates[xcol], opts.nullValues), val]);
+                }
+                else {
+                    ret[j].push(val);
+                }
+            }
+        }
+
+        // hand the header names over to the legend.
+        if (names && plot) {
+            $.jqplot.labelSeriesFromData(plot, labels);
+        }
+
+        return ret;
+    };
+
+    $.jqplot.csvParser.defaults = {
+        delimiter: ',',
+        header: true,
+        xColumn: 0,
+        columns: null,
+        dateColumns: [],
+        nullValues: ['null', 'NULL', 'NA', 'NaN', '-']
+    };
+
+    // Split text into rows of fields, honouring quoted fields.
+    function parseRows(text, delim) {
+        var rows = [],
+            row = [],
+            field = '',
+            quoted = false,
+            wasQuoted = false,
+            c,
+            i = 0,
+            l = text.length;
+
+        function endField() {
+            row.push(field);
+            field = '';
+            wasQuoted = false;
+        }
+
+        while (i < l) {
+            c = text.charAt(i);
+            if (quoted) {
+                if (c == '"') {
+                    if (text.charAt(i+1) == '"') {
+                        field += '"';
+                        i++;
+                    }
+                    else {
+                        quoted = false;
+                    }
+                }
+                else {
+                    field += c;
+                }
+            }
+            else if (c == '"' && $.trim(field) === '') {
+                quoted = true;
+                wasQuoted = true;
+                field = '';
+            }
+            else if (c == delim) {
+                endField();
+            }
+            else if (c == '\n' || c == '\r') {
+                endField();
+                rows.push(row);
+                row = [];
+                if (c == '\r' && text.charAt(i+1) == '\n') {
+                    i++;
+                }
+            }
+            else {
+                field += c;
+            }
+            i++;
+        }
+        // last row, unless text ended with a line break.
+        if (field !== '' || wasQuoted || row.length) {
+            endField();
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // Converts a field to a number, a date timestamp or null.
+    // Anything else is returned as a trimmed string.
+    function convert(val, isDate, nullValues) {
+        if (val == null) {
+            return null;
+        }
+        val = $.trim(val);
+        if (val === '' || $.inArray(val, nullValues) > -1) {
+            return null;
+        }
+        if (isDate) {
+            return new $.jsDate(val).getTime();
+        }
+        if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(val)) {
+            return parseFloat(val);
+        }
+        return val;
+    }
+})(jQuery);
@@ -314,6 +314,77 @@
         }
     };
     
+    // method: $.jqplot.Cursor.syncPlots
+    // links plots sharing an x axis, like the stacked panes of a stock
+    // chart, so that moving the mouse over any of them moves the vertical
+    // cursor line of all of them, and zooming or resetting the zoom of one
+    // does the same to the x axes of the others.  The plots should have
+    // the same x axis range and grid width for their lines to line up.
+    // Calling it again with more plots relinks all of them.
+    $.jqplot.Cursor.syncPlots = function(plots) {
+        // zooming or resetting the other plots triggers their events too.
+        var syncing = false;
+
+        function plotMove(ev, gridpos, datapos, neighbor, plot) {
+            var x = datapos.xaxis;
+            var c;
+            for (var i=0; i<plots.length; i++) {
+                c = plots[i].plugins.cursor;
+                if (plots[i] !== plot && x != null && c.show && c.showVerticalLine && c.cursorCanvas) {
+                    moveLine({x:plots[i].axes.xaxis.series_u2p(x), y:null}, plots[i]);
+                }
+            }
+        }
+
+        function plotLeave(ev, gridpos, datapos, neighbor, plot) {
+            var c, ctx;
+            for (var i=0; i<plots.length; i++) {
+                c = plots[i].plugins.cursor;
+                if (plots[i] !== plot && c.cursorCanvas) {
+                    ctx = c.cursorCanvas._ctx;
+                    ctx.clearRect(0,0,ctx.canvas.width, ctx.canvas.height);
+                }
+            }
+            ctx = null;
+        }
+
+        function plotZoom(ev, gridpos, datapos, plot, cursor) {
+            if (syncing) {
+                return;
+            }
+            syncing = true;
+            // only the x axes are shared.
+            var xpos = {xaxis:datapos.xaxis, x2axis:datapos.x2axis};
+            for (var i=0; i<plots.length; i++) {
+                if (plots[i] !== plot && plots[i].plugins.cursor.zoomCanvas) {
+                    plots[i].plugins.cursor.doZoom(gridpos, xpos, plots[i], cursor);
+                }
+            }
+            syncing = false;
+        }
+
+        function plotReset(ev, plot, cursor) {
+            if (syncing) {
+                return;
+            }
+            syncing = true;
+            for (var i=0; i<plots.length; i++) {
+                if (plots[i] !== plot && plots[i].resetZoom) {
+                    plots[i].resetZoom();
+                }
+            }
+            syncing = false;
+        }
+
+        for (var i=0; i<plots.length; i++) {
+            plots[i].target.unbind('.jqplotCursorSync');
+            plots[i].target.bind('jqplotMouseMove.jqplotCursorSync', plotMove);
+            plots[i].target.bind('jqplotMouseLeave.jqplotCursorSync', plotLeave);
+            plots[i].target.bind('jqplotZoom.jqplotCursorSync', plotZoom);
+            plots[i].target.bind('jqplotResetZoom.jqplotCursorSync', plotReset);
+        }
+    };
+    
     $.jqplot.Cursor.prototype.resetZoom = function(plot, cursor) {
         var axes = plot.axes;
         var cax = cursor._zoom.axes;
@@ -464,7 +535,7 @@
                                        var d = seriesObj._plotData;
                                        for (i = 0; i < d.length; i++) {
                                            var point = d[i];
-                                           if (point[0] >= xaxis.min && point[0] <= xaxis.max) {
+                                           if (point[1] != null && point[0] >= xaxis.min && point[0] <= xaxis.max) {
                                                if (seriesMin == null || point[1] < seriesMin) {
                                                    seriesMin = point[1];
                                                }
@@ -581,7 +652,8 @@
         if (c.showVerticalLine) {
             c.shapeRenderer.draw(ctx, [[gridpos.x, 0], [gridpos.x, ctx.canvas.height]]);
         }
-        if (c.showHorizontalLine) {
+        // synced plots only follow the x position.
+        if (c.showHorizontalLine && gridpos.y != null) {
             c.shapeRenderer.draw(ctx, [[0, gridpos.y], [ctx.canvas.width, gridpos.y]]);
         }
         var ret = getIntersectingPoints(plot, gridpos.x, gridpos.y);
@@ -622,7 +694,7 @@
         
     function getIntersectingPoints(plot, x, y) {
         var ret = {indices:[], data:[]};
-        var s, i, d0, d, j, r, p;
+        var s, i, d0, d, j, r, p, di, dj;
         var threshold;
         var c = plot.plugins.cursor;
         for (var i=0; i<plot.series.length; i++) {
@@ -633,13 +705,20 @@
                 if (s.showMarker) {
                     threshold += s.markerRenderer.size/2;
                 }
+                // a downsampled line only has grid data for the points drawn.
+                di = r._downsampledIndex;
                 for (var j=0; j<s.gridData.length; j++) {
                     p = s.gridData[j];
+                    // nulls left in by nullHandling 'gap' have no position.
+                    if (p[0] == null || p[1] == null) {
+                        continue;
+                    }
                     // check vertical line
                     if (c.showVerticalLine) {
                         if (Math.abs(x-p[0]) <= threshold) {
+                            dj = (di) ? di[j] : j;
                             ret.indices.push(i);
-                            ret.data.push({seriesIndex: i, pointIndex:j, gridData:p, data:s.data[j]});
+                            ret.data.push({seriesIndex: i, pointIndex:dj, gridData:p, data:s.data[dj]});
                         }
                     }
                 } 
@@ -286,6 +286,23 @@
                 }
             }
             
+            // points a renderer draws out to besides the data, like task ends.
+            if (s._extentData) {
+                var ed = s._extentData,
+                    eidx = (this.name === 'xaxis' || this.name === 'x2axis') ? 0 : 1;
+                for (var j=0, l=ed.length; j < l; j++) {
+                    if (ed[j][eidx] != null) {
+                        ed[j][eidx] = new $.jsDate(ed[j][eidx]).getTime();
+                        if (ed[j][eidx] < db.min || db.min == null) {
+                            db.min = ed[j][eidx];
+                        }
+                        if (ed[j][eidx] > db.max || db.max == null) {
+                            db.max = ed[j][eidx];
+                        }
+                    }
+                }
+            }
+            
             var tempf = 0,
                 tempn=0;
             for (var n in stats.frequencies) {
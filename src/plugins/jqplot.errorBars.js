@@ -0,0 +1,257 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    
+    /**
+     * Class: $.jqplot.ErrorBars
+     * Plugin which draws error bars around the points of line, scatter and bar series.
+     * 
+     * Errors come from extra columns of the data points or from separate
+     * arrays with one entry per point.  An error is either a number, for an
+     * interval of that much either side of the value, or a [minus, plus]
+     * array for an asymmetric interval.
+     * 
+     * > data = [[1, 10, 0.5], [2, 12, [0.3, 0.8]], [3, 9, 1.2]]
+     * > series: [{errorBars:{yColumn:2}}]
+     * 
+     * or
+     * 
+     * > data = [[1, 10], [2, 12], [3, 9]]
+     * > series: [{errorBars:{yErrors:[0.5, [0.3, 0.8], 1.2]}}]
+     * 
+     * Axes autoscale to include the error bars and the highlighter shows
+     * the interval in its tooltip.
+     */
+    $.jqplot.ErrorBars = function() {
+        // Group: Properties
+        
+        // prop: show
+        // Wether or not to show the error bars.
+        // Nothing is drawn for series without errors.
+        this.show = $.jqplot.config.enablePlugins;
+        // prop: xColumn
+        // Index of the data point column holding the x errors, or the name
+        // of the property holding them on object shaped points.
+        // Use an array of two columns for separate minus and plus errors.
+        this.xColumn = null;
+        // prop: yColumn
+        // Index of the data point column holding the y errors, or the name
+        // of the property holding them on object shaped points.
+        // Use an array of two columns for separate minus and plus errors.
+        this.yColumn = null;
+        // prop: xErrors
+        // Array of x errors, one per data point in the order given.
+        // Points added with appendData carry on through the array.
+        this.xErrors = null;
+        // prop: yErrors
+        // Array of y errors, one per data point in the order given.
+        // Points added with appendData carry on through the array.
+        this.yErrors = null;
+        // prop: color
+        // CSS color spec for the error bars.
+        // By default this will be the same color as the series.
+        this.color = null;
+        // prop: lineWidth
+        // Width of the error bar lines.
+        this.lineWidth = 1;
+        // prop: capWidth
+        // Length in pixels of the caps across the ends of the error bars.
+        // 0 to draw no caps.
+        this.capWidth = 6;
+        this.shapeRenderer = new $.jqplot.ShapeRenderer();
+    };
+    
+    $.jqplot.postNormalizeDataHooks.push(matchErrorArrays);
+    $.jqplot.postSeriesInitHooks.push(parseErrorBarsOptions);
+    $.jqplot.postAppendDataHooks.push(setExtentData);
+    $.jqplot.postDrawSeriesHooks.push(drawErrorBars);
+
+    // Normalizes an error to a [minus, plus] array, or null for no error.
+    function errorInterval(e) {
+        if (e == null) {
+            return null;
+        }
+        if ($.isArray(e)) {
+            return (e[0] == null && e[1] == null) ? null : [e[0] || 0, e[1] || 0];
+        }
+        return [e, e];
+    }
+
+    // Value of column col of point p, col being an index or, for object
+    // shaped points, a property name.
+    function columnValue(p, col) {
+        if (typeof col == 'number') {
+            return p[col];
+        }
+        return (p.point) ? p.point[col] : null;
+    }
+
+    // called within scope of a series
+    // Separate error arrays follow the points as they were given, attach
+    // them to the points before null points are dropped, the series
+    // transformed or the data sorted.
+    function matchErrorArrays(seriesDefaults, options, points, start) {
+        var eb = $.extend(true, {}, seriesDefaults.errorBars, options && options.errorBars);
+        for (var i=0; i<points.length; i++) {
+            if (eb.xErrors && points[i]) {
+                points[i]._xError = eb.xErrors[start + i];
+            }
+            if (eb.yErrors && points[i]) {
+                points[i]._yError = eb.yErrors[start + i];
+            }
+        }
+    }
+
+    // called within scope of a series
+    function parseErrorBarsOptions (target, data, seriesDefaults, options, plot) {
+        if (this._type && (this._type === 'line' || this._type == 'bar')) {
+            this.errorBars = new $.jqplot.ErrorBars();
+            options = options || {};
+            $.extend(true, this.errorBars, {color:this.color}, seriesDefaults.errorBars, options.errorBars);
+            this.errorBars.shapeRenderer.init({lineJoin:'miter', lineCap:'butt', isarc:false});
+        }
+        else {
+            this.errorBars = null;
+        }
+        setExtentData.call(this);
+    }
+
+    // called within scope of a series
+    // Adds the error bar extents to the points the renderer draws out to,
+    // so the axes autoscale to them.  The renderer's own extents are kept
+    // apart, they are only set again when the renderer is initialized.
+    function setExtentData() {
+        var ext = this._errorBarsExtents;
+        var base = (ext && this._extentData === ext.data) ? ext.base : this._extentData;
+        if (!this.errorBars || !this.errorBars.show) {
+            this._extentData = base;
+            this._errorBarsExtents = null;
+            return;
+        }
+        this._extentData = (base || []).concat(this.errorBars.extents.call(this));
+        this._errorBarsExtents = {base:base, data:this._extentData};
+    }
+
+    /**
+     * Function: getErrors
+     * Returns the errors of a point as {x:[minus, plus], y:[minus, plus]},
+     * either of which is null when the point has no error on that axis.
+     * 
+     * Parameters:
+     * series - the series the point belongs to.
+     * pidx - index of the point in the series data.
+     */
+    $.jqplot.ErrorBars.prototype.getErrors = function(series, pidx) {
+        var p = series.data[pidx],
+            ret = {x:null, y:null},
+            axes = ['x', 'y'],
+            col, e, i;
+        if (!p) {
+            return ret;
+        }
+        for (i=0; i<2; i++) {
+            col = this[axes[i]+'Column'];
+            e = p['_'+axes[i]+'Error'];
+            if (col != null) {
+                e = ($.isArray(col)) ? [columnValue(p, col[0]), columnValue(p, col[1])] : columnValue(p, col);
+            }
+            ret[axes[i]] = errorInterval(e);
+        }
+        return ret;
+    };
+
+    // Data bounds covered by the error bars as [x, y] points, to be
+    // included when autoscaling the axes.
+    // called within scope of the series.
+    $.jqplot.ErrorBars.prototype.extents = function() {
+        var ret = [],
+            pd = this._plotData,
+            i, e, x, y;
+        for (i=0; i<pd.length; i++) {
+            e = this.errorBars.getErrors(this, i);
+            x = pd[i][0];
+            y = pd[i][1];
+            if (e.x && typeof x == 'number') {
+                ret.push([x - e.x[0], null], [x + e.x[1], null]);
+            }
+            if (e.y && typeof y == 'number') {
+                ret.push([null, y - e.y[0]], [null, y + e.y[1]]);
+            }
+        }
+        return ret;
+    };
+    
+    // called within scope of series object
+    function drawErrorBars(sctx, options) {
+        var eb = this.errorBars;
+        if (!this.show || !eb || !eb.show) {
+            return;
+        }
+        var pd = this._plotData,
+            xp = this._xaxis.series_u2p,
+            yp = this._yaxis.series_u2p,
+            cap = eb.capWidth / 2,
+            opts = {color:eb.color, lineWidth:eb.lineWidth},
+            nudge = this._barNudge || 0,
+            i, e, x, y;
+        for (i=0; i<pd.length; i++) {
+            if (pd[i][0] == null || pd[i][1] == null) {
+                continue;
+            }
+            e = eb.getErrors(this, i);
+            x = xp(pd[i][0]);
+            y = yp(pd[i][1]);
+            // bars of several series share a category, follow the bar.
+            if (this._type == 'bar') {
+                if (this._stackAxis == 'x') {
+                    y -= nudge;
+                }
+                else {
+                    x += nudge;
+                }
+            }
+            if (e.y) {
+                eb.shapeRenderer.draw(sctx, [[x, yp(pd[i][1] - e.y[0])], [x, yp(pd[i][1] + e.y[1])]], opts);
+                if (cap) {
+                    eb.shapeRenderer.draw(sctx, [[x - cap, yp(pd[i][1] - e.y[0])], [x + cap, yp(pd[i][1] - e.y[0])]], opts);
+                    eb.shapeRenderer.draw(sctx, [[x - cap, yp(pd[i][1] + e.y[1])], [x + cap, yp(pd[i][1] + e.y[1])]], opts);
+                }
+            }
+            if (e.x) {
+                eb.shapeRenderer.draw(sctx, [[xp(pd[i][0] - e.x[0]), y], [xp(pd[i][0] + e.x[1]), y]], opts);
+                if (cap) {
+                    eb.shapeRenderer.draw(sctx, [[xp(pd[i][0] - e.x[0]), y - cap], [xp(pd[i][0] - e.x[0]), y + cap]], opts);
+                    eb.shapeRenderer.draw(sctx, [[xp(pd[i][0] + e.x[1]), y - cap], [xp(pd[i][0] + e.x[1]), y + cap]], opts);
+                }
+            }
+        }
+    }
+})(jQuery);
@@ -0,0 +1,471 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.GanttRenderer
+     * jqPlot Plugin to draw project schedules as horizontal task bars
+     * on a date axis.
+     * 
+     * To use this plugin, include the renderer js file along with the
+     * date and category axis renderers in your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.dateAxisRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.categoryAxisRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.ganttRenderer.js"></script>
+     * 
+     * Each point is a task row, its start and its end, with an optional
+     * object of task properties:
+     * 
+     * > dat = [['Design', '2016-03-01', '2016-03-10', {id:'design', progress:1}],
+     * >        ['Build', '2016-03-10', '2016-04-02', {id:'build', dependsOn:'design', progress:0.4}],
+     * >        ['Release', '2016-04-04', null, {milestone:true, dependsOn:['build']}]]
+     * > series: [{renderer:$.jqplot.GanttRenderer}]
+     * 
+     * Task properties are:
+     * 
+     * id - name other tasks use to depend on this one.
+     * dependsOn - id or array of ids of tasks which must finish before this
+     * one starts.  An arrow is drawn from the end of each of them to
+     * the start of this task.
+     * progress - fraction from 0 to 1 of the task done, shaded at the
+     * start of the bar.
+     * milestone - true to draw the task as a diamond at its start.  Tasks
+     * without an end are milestones too.
+     * group - name of a group row the task belongs to.  Tasks of a group
+     * are moved under a row with the group name and a summary bar spanning
+     * all of them.  Give the groups names different from the task rows.
+     * color - color of this task, overriding the series color.
+     * 
+     * Unless other axis renderers are given, the x axis uses the
+     * <$.jqplot.DateAxisRenderer> and the y axis the
+     * <$.jqplot.CategoryAxisRenderer> with the first row at the top.
+     * Several tasks may share a row.
+     * 
+     * The jqplotDataMouseOver, jqplotDataHighlight, jqplotDataClick and
+     * jqplotDataRightClick events are triggered with the series index, task
+     * index, data point and the task record: the task properties along
+     * with its category, start and end in milliseconds.  Group rows have
+     * a record with isGroup true and their tasks.
+     */
+    $.jqplot.GanttRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.GanttRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.GanttRenderer.prototype.constructor = $.jqplot.GanttRenderer;
+    
+    // called with scope of series.
+    $.jqplot.GanttRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: barHeight
+        // Height of the task bars in pixels.  Default is 60% of the row height.
+        this.barHeight = null;
+        // prop: progressColor
+        // Color drawn over the done part of a task bar.
+        this.progressColor = 'rgba(0, 0, 0, 0.25)';
+        // prop: milestoneSize
+        // Width and height of the milestone diamonds in pixels.
+        // Default is the bar height.
+        this.milestoneSize = null;
+        // prop: groupColor
+        // Color of the group summary bars.
+        this.groupColor = '#555555';
+        // prop: showDependencies
+        // True to draw arrows from tasks to the tasks depending on them.
+        this.showDependencies = true;
+        // prop: dependencyColor
+        // Color of the dependency arrows.
+        this.dependencyColor = '#666666';
+        // prop: dependencyLineWidth
+        // Width of the dependency arrow lines in pixels.
+        this.dependencyLineWidth = 1;
+        // prop: arrowSize
+        // Length of the dependency arrow heads in pixels.
+        this.arrowSize = 5;
+        // prop: highlightMouseOver
+        // True to highlight tasks when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on a task.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over a task.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color of the outline drawn around a highlighted task.
+        this.highlightColor = 'rgba(0, 0, 0, 0.7)';
+        this._highlightedPoint = null;
+        this._taskPoints = [];
+
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+
+        $.extend(true, this, options);
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'gantt';
+        this.fill = false;
+        this.showMarker = false;
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+
+        // scale the date axis to the task ends too.
+        this._extentData = [];
+        for (var i=0; i<this.data.length; i++) {
+            if (this.data[i][2] != null) {
+                this._extentData.push([this.data[i][2], null]);
+            }
+        }
+
+        plot.postDrawHooks.addOnce(postPlotDraw);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+    };
+
+    // time in milliseconds of a date value, or null.
+    function toTime(v) {
+        return (v == null) ? null : new $.jsDate(v).getTime();
+    }
+
+    // called with scope of series.
+    // Turns [category, start, end, {task}] points into
+    // [start, category, end, task record] points on the y category axis,
+    // with the tasks of each group moved under a group row.
+    function parseTasks(seriesDefaults, options) {
+        if (this.renderer !== $.jqplot.GanttRenderer) {
+            return;
+        }
+        var d = this.data,
+            tasks = [],
+            groups = {},
+            ret = [],
+            i, j, t, g;
+        for (i=0; i<d.length; i++) {
+            t = $.extend({}, d[i][3], {category:d[i][0], start:toTime(d[i][1]), end:toTime(d[i][2])});
+            if (t.end == null || t.end === t.start) {
+                t.milestone = true;
+            }
+            if (t.end == null) {
+                t.end = t.start;
+            }
+            tasks.push(t);
+            if (t.group != null) {
+                g = groups[t.group];
+                if (!g) {
+                    g = groups[t.group] = {category:t.group, start:t.start, end:t.end, isGroup:true, tasks:[]};
+                }
+                g.tasks.push(t);
+                g.start = Math.min(g.start, t.start);
+                g.end = Math.max(g.end, t.end);
+            }
+        }
+        for (i=0; i<tasks.length; i++) {
+            t = tasks[i];
+            if (t.group == null) {
+                ret.push([t.start, t.category, t.end, t]);
+            }
+            // a group row and all its tasks where its first task was.
+            else if (groups[t.group].tasks[0] === t) {
+                g = groups[t.group];
+                ret.push([g.start, g.category, g.end, g]);
+                for (j=0; j<g.tasks.length; j++) {
+                    ret.push([g.tasks[j].start, g.tasks[j].category, g.tasks[j].end, g.tasks[j]]);
+                }
+            }
+        }
+        this.data = ret;
+        // rows are along the y axis, so don't sort by them or stack.
+        this._stackAxis = 'x';
+        this._primaryAxis = '_yaxis';
+        this.disableStack = true;
+    }
+
+    $.jqplot.postParseSeriesOptionsHooks.push(parseTasks);
+
+    // called within scope of series.
+    $.jqplot.GanttRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        var r = this.renderer;
+        var opts = $.extend({}, options);
+        var xp = this._xaxis.series_u2p;
+        var yp = this._yaxis.series_u2p;
+        var rowHeight = Math.abs(yp(2) - yp(1));
+        var bh = (this.barHeight != null) ? this.barHeight : 0.6 * rowHeight;
+        var ms = (this.milestoneSize != null) ? this.milestoneSize : bh;
+        var ids = {};
+        var i, t, x1, x2, y, color;
+        this._taskPoints = [];
+        ctx.save();
+        if (this.show) {
+            for (i=0; i<gd.length; i++) {
+                t = this.data[i][3];
+                x1 = gd[i][0];
+                x2 = xp(this.data[i][2]);
+                y = gd[i][1];
+                color = t.color || this.color;
+                if (t.id != null) {
+                    ids[t.id] = i;
+                }
+                if (t.isGroup) {
+                    // a thin bar with points hanging down at both ends.
+                    this._taskPoints.push([[x1, y + bh/2], [x1, y - bh/2], [x2, y - bh/2], [x2, y + bh/2]]);
+                    opts.fill = true;
+                    opts.fillStyle = this.groupColor;
+                    r.shapeRenderer.draw(ctx, [[x1, y - bh/2], [x2, y - bh/2], [x2, y + bh/2], [x2 - bh/2, y], [x1 + bh/2, y], [x1, y + bh/2]], opts);
+                }
+                else if (t.milestone) {
+                    this._taskPoints.push([[x1 - ms/2, y + ms/2], [x1 - ms/2, y - ms/2], [x1 + ms/2, y - ms/2], [x1 + ms/2, y + ms/2]]);
+                    opts.fill = true;
+                    opts.fillStyle = color;
+                    r.shapeRenderer.draw(ctx, [[x1, y - ms/2], [x1 + ms/2, y], [x1, y + ms/2], [x1 - ms/2, y]], opts);
+                }
+                else {
+                    this._taskPoints.push([[x1, y + bh/2], [x1, y - bh/2], [x2, y - bh/2], [x2, y + bh/2]]);
+                    opts.fill = false;
+                    opts.fillRect = true;
+                    opts.fillStyle = color;
+                    r.shapeRenderer.draw(ctx, [x1, y - bh/2, x2 - x1, bh], opts);
+                    if (t.progress > 0) {
+                        opts.fillStyle = this.progressColor;
+                        r.shapeRenderer.draw(ctx, [x1, y - bh/2, (x2 - x1) * Math.min(t.progress, 1), bh], opts);
+                    }
+                    opts.fillRect = false;
+                }
+            }
+            if (this.showDependencies) {
+                drawDependencies.call(this, ctx, ids, bh, ms);
+            }
+        }
+        ctx.restore();
+    };
+
+    // called within scope of series.
+    // Draws an arrow from the end of each task to the start of the tasks
+    // depending on it, ids mapping task ids to their indices.
+    function drawDependencies(ctx, ids, bh, ms) {
+        var r = this.renderer;
+        var tp = this._taskPoints;
+        var gap = this.arrowSize + 2;
+        var opts = {fill:false, closePath:false, strokeStyle:this.dependencyColor, lineWidth:this.dependencyLineWidth};
+        var headopts = {fill:true, fillStyle:this.dependencyColor};
+        var i, j, deps, from, to, x1, y1, x2, y2, ym, path;
+        for (i=0; i<this.data.length; i++) {
+            deps = this.data[i][3].dependsOn;
+            if (deps == null) {
+                continue;
+            }
+            if (!$.isArray(deps)) {
+                deps = [deps];
+            }
+            to = tp[i];
+            for (j=0; j<deps.length; j++) {
+                if (!ids.hasOwnProperty(deps[j])) {
+                    continue;
+                }
+                from = tp[ids[deps[j]]];
+                x1 = from[2][0];
+                y1 = (from[0][1] + from[1][1]) / 2;
+                x2 = to[0][0];
+                y2 = (to[0][1] + to[1][1]) / 2;
+                if (x2 - gap >= x1 + gap) {
+                    path = [[x1, y1], [x2 - gap, y1], [x2 - gap, y2], [x2 - this.arrowSize, y2]];
+                }
+                // no room between the tasks, go around between their rows.
+                else {
+                    ym = (y1 + y2) / 2;
+                    path = [[x1, y1], [x1 + gap, y1], [x1 + gap, ym], [x2 - gap, ym], [x2 - gap, y2], [x2 - this.arrowSize, y2]];
+                }
+                r.shapeRenderer.draw(ctx, path, opts);
+                r.shapeRenderer.draw(ctx, [[x2, y2], [x2 - this.arrowSize, y2 - this.arrowSize/2], [x2 - this.arrowSize, y2 + this.arrowSize/2]], headopts);
+            }
+        }
+    }
+
+    $.jqplot.GanttRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on tasks.
+    };
+
+    // called with scope of plot.
+    // Put the tasks on a date x axis and a category y axis
+    // with the first row at the top.
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axes = options.axes || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.GanttRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.GanttRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        if (setopts) {
+            var xaxis = options.axes.xaxis = options.axes.xaxis || {};
+            var yaxis = options.axes.yaxis = options.axes.yaxis || {};
+            xaxis.renderer = xaxis.renderer || $.jqplot.DateAxisRenderer;
+            if (!yaxis.renderer) {
+                yaxis.renderer = $.jqplot.CategoryAxisRenderer;
+                yaxis.rendererOptions = $.extend({reverse:true}, yaxis.rendererOptions);
+            }
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+
+    $.jqplot.preInitHooks.push(preInit);
+
+    // called within context of plot
+    // create a canvas which we can draw on.
+    // insert it before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        if (this.plugins.ganttRenderer && this.plugins.ganttRenderer.highlightCanvas) {
+            this.plugins.ganttRenderer.highlightCanvas.resetCanvas();
+            this.plugins.ganttRenderer.highlightCanvas = null;
+        }
+
+        this.plugins.ganttRenderer = {highlightedSeriesIndex:null};
+        this.plugins.ganttRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+
+        this.eventCanvas._elem.before(this.plugins.ganttRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-ganttRenderer-highlight-canvas', this._plotDimensions, this));
+        this.plugins.ganttRenderer.highlightCanvas.setContext();
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); });
+    }
+
+    function highlight (plot, sidx, pidx, points) {
+        var s = plot.series[sidx];
+        var canvas = plot.plugins.ganttRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.ganttRenderer.highlightedSeriesIndex = sidx;
+        var opts = {strokeRect:true, color:s.highlightColor, lineWidth:2};
+        s.renderer.shapeRenderer.draw(canvas._ctx, [points[1][0], points[1][1], points[2][0] - points[1][0], points[0][1] - points[1][1]], opts);
+        canvas = null;
+    }
+
+    function unhighlight (plot) {
+        var canvas = plot.plugins.ganttRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+        }
+        plot.plugins.ganttRenderer.highlightedSeriesIndex = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas =  null;
+    }
+
+    // event arguments for a task neighbor, or null if the neighbor
+    // isn't on a gantt series.
+    function taskArgs(plot, neighbor) {
+        if (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.GanttRenderer) {
+            return [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data, neighbor.data[3]];
+        }
+        return null;
+    }
+
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        var ins = taskArgs(plot, neighbor);
+        if (ins) {
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            if (plot.series[ins[0]].show && plot.series[ins[0]].highlightMouseOver &&
+                !(ins[0] == plot.plugins.ganttRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null && plot.plugins.ganttRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        var ins = taskArgs(plot, neighbor);
+        if (ins) {
+            if (plot.series[ins[0]].highlightMouseDown && !(ins[0] == plot.plugins.ganttRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null && plot.plugins.ganttRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.ganttRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        var ins = taskArgs(plot, neighbor);
+        if (ins) {
+            var evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        var ins = taskArgs(plot, neighbor);
+        if (ins) {
+            var idx = plot.plugins.ganttRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+})(jQuery);
@@ -0,0 +1,513 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.HeatmapRenderer
+     * jqPlot Plugin to draw a grid of values as colored cells.
+     * 
+     * To use this plugin, include the renderer js file in 
+     * your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.heatmapRenderer.js"></script>
+     * 
+     * Each point is the x and y of a cell followed by its value:
+     * 
+     * > dat = [['Mon', '00:00', 12], ['Mon', '01:00', 8], ..., ['Sun', '23:00', 31]]
+     * > series: [{renderer:$.jqplot.HeatmapRenderer}]
+     * 
+     * x and y can be on category or linear axes.  Cells missing from the data
+     * are left empty, cells with a null value are drawn in the missingColor.
+     * 
+     * Plots with a heatmap series get a <$.jqplot.HeatmapLegendRenderer>,
+     * a color bar of the scale, as their legend unless another legend
+     * renderer is given.
+     */
+    $.jqplot.HeatmapRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.HeatmapRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.HeatmapRenderer.prototype.constructor = $.jqplot.HeatmapRenderer;
+
+    // default color stops of the scales.
+    var scaleColors = {
+        sequential: ['#f7fbff', '#6baed6', '#08306b'],
+        diverging: ['#2166ac', '#f7f7f7', '#b2182b']
+    };
+    
+    // called with scope of series.
+    $.jqplot.HeatmapRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: colorScale
+        // 'sequential' to color values from min to max, or 'diverging' to
+        // color values below and above mid with colors either side of
+        // the middle color.
+        this.colorScale = 'sequential';
+        // prop: colors
+        // Array of colors the scale goes through, spread evenly from min
+        // to max.  Default depends on colorScale.
+        this.colors = null;
+        // prop: min
+        // Value at the bottom of the scale.  Default is the smallest value.
+        this.min = null;
+        // prop: max
+        // Value at the top of the scale.  Default is the largest value.
+        this.max = null;
+        // prop: mid
+        // Value in the middle of a diverging scale.  Default is 0,
+        // or half way between min and max if 0 is out of range.
+        this.mid = null;
+        // prop: missingColor
+        // Color of cells with a null value.  null to leave them empty.
+        this.missingColor = null;
+        // prop: cellPadding
+        // Number of pixels between adjacent cells.
+        this.cellPadding = 1;
+        // prop: highlightMouseOver
+        // True to highlight cells when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on a cell.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over a cell.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color of the outline drawn around a highlighted cell.
+        this.highlightColor = 'rgba(0, 0, 0, 0.7)';
+        this._type = 'heatmap';
+        this._highlightedPoint = null;
+        this._cellPoints = [];
+
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+
+        $.extend(true, this, options);
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this.fill = true;
+        this.disableStack = true;
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+
+        var d = this.data, vals = [], i;
+        for (i=0; i<d.length; i++) {
+            if (d[i][2] != null) {
+                vals.push(d[i][2]);
+            }
+        }
+        var r = this.renderer;
+        r._min = (this.min != null) ? this.min : (vals.length) ? $.jqplot.arrayMin(vals) : 0;
+        r._max = (this.max != null) ? this.max : (vals.length) ? $.jqplot.arrayMax(vals) : 1;
+        r._mid = this.mid;
+        if (r._mid == null) {
+            r._mid = (r._min < 0 && r._max > 0) ? 0 : (r._min + r._max) / 2;
+        }
+        r._colors = [];
+        var colors = this.colors || scaleColors[this.colorScale] || scaleColors.sequential;
+        for (i=0; i<colors.length; i++) {
+            r._colors.push($.jqplot.getColorComponents(colors[i]));
+        }
+        r._diverging = (this.colorScale === 'diverging');
+
+        // scale linear axes to the cell edges, not the cell centers.
+        this._extentData = [];
+        for (i=0; i<2; i++) {
+            var size = cellSize(d, i);
+            if (size) {
+                this._extentData.push(extentPoint(i, $.jqplot.arrayMin(size.vals) - size.size/2));
+                this._extentData.push(extentPoint(i, $.jqplot.arrayMax(size.vals) + size.size/2));
+            }
+        }
+
+        plot.postDrawHooks.addOnce(postPlotDraw);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+    };
+
+    // [v, null] or [null, v] for x or y index idx.
+    function extentPoint(idx, v) {
+        return (idx) ? [null, v] : [v, null];
+    }
+
+    // Distinct values at index idx of the points and the smallest spacing
+    // between them, or null if they aren't all numbers.
+    function cellSize(d, idx) {
+        var vals = [], size = null, i;
+        for (i=0; i<d.length; i++) {
+            if (typeof(d[i][idx]) != "number") {
+                return null;
+            }
+            if ($.inArray(d[i][idx], vals) == -1) {
+                vals.push(d[i][idx]);
+            }
+        }
+        vals.sort(function(a, b) { return a - b; });
+        for (i=1; i<vals.length; i++) {
+            if (size === null || vals[i] - vals[i-1] < size) {
+                size = vals[i] - vals[i-1];
+            }
+        }
+        return (vals.length) ? {vals:vals, size:(size === null) ? 1 : size} : null;
+    }
+
+    // Position from 0 to 1 of value v on the scale of renderer r.
+    function scalePosition(r, v) {
+        var t;
+        if (r._diverging) {
+            if (v < r._mid) {
+                t = (r._mid > r._min) ? 0.5 * (v - r._min) / (r._mid - r._min) : 0;
+            }
+            else {
+                t = (r._max > r._mid) ? 0.5 + 0.5 * (v - r._mid) / (r._max - r._mid) : 1;
+            }
+        }
+        else {
+            t = (r._max > r._min) ? (v - r._min) / (r._max - r._min) : 0.5;
+        }
+        return Math.max(0, Math.min(1, t));
+    }
+
+    // CSS color at position t from 0 to 1 along the colors of renderer r.
+    function scaleColor(r, t) {
+        var c = r._colors,
+            pos = t * (c.length - 1),
+            i = Math.min(Math.floor(pos), c.length - 2),
+            f = pos - i,
+            rgb = [],
+            j;
+        if (c.length == 1) {
+            return 'rgba(' + c[0].join(',') + ')';
+        }
+        for (j=0; j<3; j++) {
+            rgb.push(Math.round(c[i][j] + (c[i+1][j] - c[i][j]) * f));
+        }
+        return 'rgba(' + rgb.join(',') + ',' + (c[i][3] + (c[i+1][3] - c[i][3]) * f) + ')';
+    }
+
+    // called within scope of series.
+    $.jqplot.HeatmapRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        var r = this.renderer;
+        var opts = $.extend({}, options);
+        var pad = this.cellPadding;
+        var xs = cellSize(gd, 0);
+        var ys = cellSize(gd, 1);
+        var cw = (xs) ? xs.size : 0;
+        var ch = (ys) ? ys.size : 0;
+        var i, v, x, y, rect;
+        // a single row or column of cells fills the grid.
+        if (xs && xs.vals.length == 1) {
+            cw = ctx.canvas.width;
+        }
+        if (ys && ys.vals.length == 1) {
+            ch = ctx.canvas.height;
+        }
+        this._cellPoints = [];
+        ctx.save();
+        if (this.show) {
+            for (i=0; i<gd.length; i++) {
+                x = gd[i][0];
+                y = gd[i][1];
+                v = this.data[i][2];
+                if (v == null && !this.missingColor) {
+                    // nothing drawn, nothing to hover.
+                    this._cellPoints.push(null);
+                    continue;
+                }
+                this._cellPoints.push([[x - cw/2, y + ch/2], [x - cw/2, y - ch/2], [x + cw/2, y - ch/2], [x + cw/2, y + ch/2]]);
+                opts.fillRect = true;
+                opts.fillStyle = (v == null) ? this.missingColor : scaleColor(r, scalePosition(r, v));
+                rect = [x - cw/2 + pad/2, y - ch/2 + pad/2, Math.max(cw - pad, 0), Math.max(ch - pad, 0)];
+                r.shapeRenderer.draw(ctx, rect, opts);
+            }
+        }
+        ctx.restore();
+    };
+
+    $.jqplot.HeatmapRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on cells.
+    };
+
+    /**
+     * Class: $.jqplot.HeatmapLegendRenderer
+     * Legend renderer drawing the color scale of a heatmap series as a
+     * gradient bar labeled with the scale values.
+     */
+    $.jqplot.HeatmapLegendRenderer = function(){
+        $.jqplot.TableLegendRenderer.call(this);
+    };
+    
+    $.jqplot.HeatmapLegendRenderer.prototype = new $.jqplot.TableLegendRenderer();
+    $.jqplot.HeatmapLegendRenderer.prototype.constructor = $.jqplot.HeatmapLegendRenderer;
+
+    // called with scope of legend.
+    $.jqplot.HeatmapLegendRenderer.prototype.init = function(options) {
+        // prop: barWidth
+        // Width of the color bar in pixels.
+        this.barWidth = 14;
+        // prop: barLength
+        // Length of the color bar in pixels.
+        this.barLength = 150;
+        // prop: formatString
+        // Format string for the scale labels.
+        this.formatString = '';
+        // prop: formatter
+        // Function formatting the scale labels, called with the format
+        // string and the value like tick formatters.
+        this.formatter = $.jqplot.DefaultTickFormatter;
+        $.extend(true, this, options);
+    };
+
+    // called with scope of legend.
+    $.jqplot.HeatmapLegendRenderer.prototype.draw = function(offsets, plot) {
+        var series = null, r, canvas, cctx, grad, td, tr, i, vals;
+        if (this._elem) {
+            this._elem.emptyForce();
+            this._elem = null;
+        }
+        for (i=0; i<this._series.length; i++) {
+            if (this._series[i].renderer.constructor == $.jqplot.HeatmapRenderer) {
+                series = this._series[i];
+                break;
+            }
+        }
+        if (this.show && series) {
+            r = series.renderer;
+            this._elem = $(document.createElement('table'));
+            this._elem.addClass('jqplot-table-legend jqplot-heatmap-legend');
+            var ss = {position:'absolute'};
+            if (this.background) {
+                ss['background'] = this.background;
+            }
+            if (this.border) {
+                ss['border'] = this.border;
+            }
+            if (this.fontSize) {
+                ss['fontSize'] = this.fontSize;
+            }
+            if (this.fontFamily) {
+                ss['fontFamily'] = this.fontFamily;
+            }
+            if (this.textColor) {
+                ss['textColor'] = this.textColor;
+            }
+            if (this.marginTop != null) {
+                ss['marginTop'] = this.marginTop;
+            }
+            if (this.marginBottom != null) {
+                ss['marginBottom'] = this.marginBottom;
+            }
+            if (this.marginLeft != null) {
+                ss['marginLeft'] = this.marginLeft;
+            }
+            if (this.marginRight != null) {
+                ss['marginRight'] = this.marginRight;
+            }
+            this._elem.css(ss);
+
+            // gradient from the top of the scale down.
+            canvas = plot.canvasManager.getCanvas();
+            canvas.width = this.barWidth;
+            canvas.height = this.barLength;
+            canvas = plot.canvasManager.initCanvas(canvas);
+            cctx = canvas.getContext('2d');
+            for (i=0; i<this.barLength; i++) {
+                cctx.fillStyle = scaleColor(r, 1 - i / (this.barLength - 1));
+                cctx.fillRect(0, i, this.barWidth, 1);
+            }
+
+            // labels at the top, middle and bottom of the bar.
+            vals = [r._max, (r._diverging) ? r._mid : (r._min + r._max) / 2, r._min];
+            for (i=0; i<3; i++) {
+                tr = $(document.createElement('tr'));
+                tr.addClass('jqplot-table-legend');
+                if (i == 0) {
+                    td = $(document.createElement('td'));
+                    td.addClass('jqplot-table-legend jqplot-heatmap-legend-bar');
+                    td.attr('rowspan', 3);
+                    td.append(canvas);
+                    tr.append(td);
+                }
+                td = $(document.createElement('td'));
+                td.addClass('jqplot-table-legend jqplot-heatmap-legend-label');
+                td.css({height: this.barLength / 3, verticalAlign: ['top', 'middle', 'bottom'][i]});
+                td.text(this.formatter(this.formatString, vals[i]));
+                tr.append(td);
+                this._elem.append(tr);
+            }
+            canvas = null;
+        }
+        return this._elem;
+    };
+
+    // called with scope of plot.
+    // Use the color bar legend for plots with a heatmap series.
+    function preInit(target, data, options) {
+        options = options || {};
+        options.legend = options.legend || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.HeatmapRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.HeatmapRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        if (setopts) {
+            options.legend.renderer = options.legend.renderer || $.jqplot.HeatmapLegendRenderer;
+        }
+    }
+
+    $.jqplot.preInitHooks.push(preInit);
+    
+    // called within context of plot
+    // create a canvas which we can draw on.
+    // insert it before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        if (this.plugins.heatmapRenderer && this.plugins.heatmapRenderer.highlightCanvas) {
+            this.plugins.heatmapRenderer.highlightCanvas.resetCanvas();
+            this.plugins.heatmapRenderer.highlightCanvas = null;
+        }
+        this.plugins.heatmapRenderer = {highlightedSeriesIndex:null};
+        this.plugins.heatmapRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+        this.eventCanvas._elem.before(this.plugins.heatmapRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-heatmapRenderer-highlight-canvas', this._plotDimensions, this));
+        this.plugins.heatmapRenderer.highlightCanvas.setContext();
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); });
+    }
+
+    function highlight (plot, sidx, pidx, points) {
+        var s = plot.series[sidx];
+        var canvas = plot.plugins.heatmapRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.heatmapRenderer.highlightedSeriesIndex = sidx;
+        var opts = {strokeRect:true, color:s.highlightColor, lineWidth:2};
+        s.renderer.shapeRenderer.draw(canvas._ctx, [points[1][0], points[1][1], points[2][0] - points[1][0], points[0][1] - points[1][1]], opts);
+        canvas = null;
+    }
+    
+    function unhighlight (plot) {
+        var canvas = plot.plugins.heatmapRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+        }
+        plot.plugins.heatmapRenderer.highlightedSeriesIndex = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas =  null;
+    }
+
+    // only handle neighbors on heatmap series.
+    function isHeatmap(plot, neighbor) {
+        return (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.HeatmapRenderer);
+    }
+    
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        if (isHeatmap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            if (plot.series[ins[0]].show && plot.series[ins[0]].highlightMouseOver &&
+                !(ins[0] == plot.plugins.heatmapRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null && plot.plugins.heatmapRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+    
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        if (isHeatmap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            if (plot.series[ins[0]].highlightMouseDown && !(ins[0] == plot.plugins.heatmapRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, neighbor.seriesIndex, neighbor.pointIndex, neighbor.points);
+            }
+        }
+        else if (neighbor == null && plot.plugins.heatmapRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+    
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.heatmapRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+    
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isHeatmap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+    
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isHeatmap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var idx = plot.plugins.heatmapRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+})(jQuery);
@@ -223,8 +223,10 @@
         var alpha = (rgba[3] >= 0.6) ? rgba[3]*0.6 : rgba[3]*(2-rgba[3]);
         mr.color = 'rgba('+newrgb[0]+','+newrgb[1]+','+newrgb[2]+','+alpha+')';
         mr.init();
-        var x_pos = s.gridData[neighbor.pointIndex][0];
-        var y_pos = s.gridData[neighbor.pointIndex][1];
+        // a downsampled line has no grid data for the points not drawn.
+        var gd = (s.renderer._downsampledIndex) ? neighbor.gridData : s.gridData[neighbor.pointIndex];
+        var x_pos = gd[0];
+        var y_pos = gd[1];
         // Adjusting with s._barNudge
         if (s.renderer.constructor == $.jqplot.BarRenderer) {
             if (s.barDirection == "vertical") {
@@ -258,6 +260,36 @@
             for (var i=1; i<opts.yvalues+1; i++) {
                 ystrs.push(yf(yfstr, neighbor.data[i]));
             }
+            // on a percent stacked plot the axis formats percentages,
+            // show the raw value along with its share.
+            if (series._percentValues) {
+                var share = series._percentValues[neighbor.pointIndex];
+                if (series._stackAxis === 'x') {
+                    xstr = $.jqplot.sprintf(opts.tooltipFormatString, neighbor.data[0]) + ' (' + xf(xfstr, share) + ')';
+                }
+                else {
+                    ystrs[0] = $.jqplot.sprintf(opts.tooltipFormatString, neighbor.data[1]) + ' (' + yf(yfstr, share) + ')';
+                }
+            }
+            // histogram bars show their bin range, and the count when
+            // plotting something else.
+            if (series._bins && series._bins[neighbor.pointIndex]) {
+                var bin = series._bins[neighbor.pointIndex];
+                xstr = xf(xfstr, bin.low) + ' - ' + xf(xfstr, bin.high);
+                if (bin.value !== bin.count) {
+                    ystrs[0] += ' (' + bin.count + ')';
+                }
+            }
+            // points with error bars show the interval around the value.
+            if (series.errorBars && series.errorBars.show && series.errorBars.getErrors) {
+                var err = series.errorBars.getErrors(series, neighbor.pointIndex);
+                if (err.x) {
+                    xstr += ' (' + xf(xfstr, neighbor.data[0] - err.x[0]) + ' - ' + xf(xfstr, neighbor.data[0] + err.x[1]) + ')';
+                }
+                if (err.y) {
+                    ystrs[0] += ' (' + yf(yfstr, neighbor.data[1] - err.y[0]) + ' - ' + yf(yfstr, neighbor.data[1] + err.y[1]) + ')';
+                }
+            }
             if (typeof opts.formatString === 'string') {
                 switch (opts.tooltipAxes) {
                     case 'both':
@@ -338,6 +370,10 @@
                 } 
             }
         }
+        // object shaped data points can put their label in the tooltip.
+        if (neighbor.point && neighbor.point.label != null) {
+            str = neighbor.point.label + opts.tooltipSeparator + str;
+        }
         if ($.isFunction(opts.tooltipContentEditor)) {
             // args str, seriesIndex, pointIndex are essential so the hook can look up
             // extra data for the point.
@@ -0,0 +1,273 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.HistogramRenderer
+     * jqPlot Plugin to draw the distribution of a set of samples as a histogram.
+     * 
+     * To use this plugin, include the bar renderer and histogram renderer js
+     * files in your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.barRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.histogramRenderer.js"></script>
+     * 
+     * The series data are the raw samples, which are counted into bins
+     * before plotting:
+     * 
+     * > dat = [4.2, 5.1, 3.9, 6.3, 5.0, 4.7, ...]
+     * > series: [{renderer:$.jqplot.HistogramRenderer, rendererOptions:{bins:'freedmanDiaconis'}}]
+     * 
+     * Bars are drawn vertically and side by side on a linear x axis, one for
+     * each bin from its low to its high edge.  Points added with appendData
+     * are samples too and the bins are recomputed.  The highlighter shows the
+     * bin range and its count.
+     */
+    $.jqplot.HistogramRenderer = function(){
+        $.jqplot.BarRenderer.call(this);
+    };
+    
+    $.jqplot.HistogramRenderer.prototype = new $.jqplot.BarRenderer();
+    $.jqplot.HistogramRenderer.prototype.constructor = $.jqplot.HistogramRenderer;
+
+    var binDefaults = {
+        bins: 'sturges',
+        binRange: null,
+        normalize: false,
+        cumulative: false
+    };
+    
+    // called with scope of series.
+    $.jqplot.HistogramRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: bins
+        // How the samples are binned.  A number of equal width bins,
+        // 'sturges' for log2(n) + 1 bins, 'freedmanDiaconis' for bins
+        // 2 * IQR / n^(1/3) wide, or an array of bin edges.
+        this.bins = binDefaults.bins;
+        // prop: binRange
+        // [min, max] range covered by equal width bins.
+        // null to cover the range of the samples.
+        this.binRange = binDefaults.binRange;
+        // prop: normalize
+        // false to plot the count of samples in each bin, 'probability' for
+        // the fraction of the samples or 'density' for the fraction divided
+        // by the bin width, so the bar areas sum to 1.
+        this.normalize = binDefaults.normalize;
+        // prop: cumulative
+        // true to plot the running total of the bins.  A cumulative
+        // density is the cumulative probability.
+        this.cumulative = binDefaults.cumulative;
+        $.jqplot.BarRenderer.prototype.init.call(this, options, plot);
+        this.barDirection = 'vertical';
+        this._primaryAxis = '_xaxis';
+        this._stackAxis = 'y';
+        this.fillAxis = 'y';
+    };
+
+    // Value of sorted values at quantile q.
+    function quantile(sorted, q) {
+        var pos = (sorted.length - 1) * q,
+            lo = Math.floor(pos);
+        if (lo + 1 >= sorted.length) {
+            return sorted[lo];
+        }
+        return sorted[lo] + (sorted[lo+1] - sorted[lo]) * (pos - lo);
+    }
+
+    // Edges of the bins for values, sorted ascending.
+    function binEdges(values, o) {
+        var min, max, k, h, sorted, edges = [], j;
+        if ($.isArray(o.bins)) {
+            return o.bins.slice(0).sort(function(a, b) { return a - b; });
+        }
+        min = (o.binRange) ? o.binRange[0] : $.jqplot.arrayMin(values);
+        max = (o.binRange) ? o.binRange[1] : $.jqplot.arrayMax(values);
+        if (max === min) {
+            min -= 0.5;
+            max += 0.5;
+        }
+        if (typeof(o.bins) == "number") {
+            k = o.bins;
+        }
+        else if (o.bins === 'freedmanDiaconis') {
+            sorted = values.slice(0).sort(function(a, b) { return a - b; });
+            h = 2 * (quantile(sorted, 0.75) - quantile(sorted, 0.25)) / Math.pow(values.length, 1/3);
+            k = (h) ? Math.ceil((max - min) / h) : 0;
+        }
+        // sturges, also when the samples have no spread.
+        if (!k) {
+            k = Math.ceil(Math.log(values.length) / Math.LN2 + 1);
+        }
+        k = Math.max(1, Math.round(k));
+        for (j=0; j<=k; j++) {
+            edges.push(min + (max - min) * j / k);
+        }
+        return edges;
+    }
+
+    // Index of the bin containing v, or -1 if v is outside the edges.
+    // The last bin includes its high edge.
+    function binIndex(edges, v) {
+        var lo = 0,
+            hi = edges.length - 1,
+            mid;
+        if (v < edges[0] || v > edges[hi]) {
+            return -1;
+        }
+        if (v === edges[hi]) {
+            return hi - 1;
+        }
+        while (hi - lo > 1) {
+            mid = (lo + hi) >> 1;
+            if (v < edges[mid]) {
+                hi = mid;
+            }
+            else {
+                lo = mid;
+            }
+        }
+        return lo;
+    }
+
+    // histogram - counts the series values into bins, one point per bin at
+    // its center.  Set up by the HistogramRenderer from the series
+    // rendererOptions.
+    $.jqplot.seriesTransforms.histogram = function(data, opts) {
+        var o = $.extend({}, binDefaults, this.rendererOptions, opts),
+            values = [],
+            counts = [],
+            ret = [],
+            total = 0,
+            sum = 0,
+            edges, idx, v, width, i;
+        for (i=0; i<data.length; i++) {
+            if (data[i][1] != null) {
+                values.push(data[i][1]);
+            }
+        }
+        this._bins = [];
+        this._extentData = null;
+        if (!values.length) {
+            return ret;
+        }
+        edges = binEdges(values, o);
+        for (i=0; i<edges.length-1; i++) {
+            counts.push(0);
+        }
+        for (i=0; i<values.length; i++) {
+            idx = binIndex(edges, values[i]);
+            if (idx > -1) {
+                counts[idx]++;
+                total++;
+            }
+        }
+        for (i=0; i<counts.length; i++) {
+            width = edges[i+1] - edges[i];
+            sum += counts[i];
+            v = (o.cumulative) ? sum : counts[i];
+            if (o.normalize && total) {
+                v /= total;
+                if (o.normalize === 'density' && !o.cumulative) {
+                    v /= width;
+                }
+            }
+            ret.push([edges[i] + width / 2, v]);
+            this._bins.push({low:edges[i], high:edges[i+1], count:counts[i], value:v});
+        }
+        // scale the x axis to the bar edges, not the bin centers.
+        this._extentData = [[edges[0], null], [edges[edges.length-1], null]];
+        return ret;
+    };
+
+    // called with scope of series.
+    // Bins the samples of histogram series, the binning is added to the
+    // series transforms so appendData bins the new samples as well.
+    function postParseSeriesOptions(seriesDefaults, options) {
+        if (this.renderer !== $.jqplot.HistogramRenderer) {
+            return;
+        }
+        this.disableStack = true;
+        if (!this._rawData) {
+            this._rawData = this.data;
+        }
+        this.transforms = this.transforms.concat(['histogram']);
+        this.data = $.jqplot.seriesTransforms.histogram.call(this, this.data, {type:'histogram'});
+    }
+
+    $.jqplot.postParseSeriesOptionsHooks.push(postParseSeriesOptions);
+
+    // called with scope of series.
+    $.jqplot.HistogramRenderer.prototype.draw = function(ctx, gridData, options, plot) {
+        var opts = $.extend({}, options),
+            shadow = (opts.shadow != undefined) ? opts.shadow : this.shadow,
+            showLine = (opts.showLine != undefined) ? opts.showLine : this.showLine,
+            xp = this._xaxis.series_u2p,
+            colors = new $.jqplot.ColorGenerator(this.seriesColors),
+            positiveColor = opts.fillStyle,
+            ystart, points, bin, sopts, i;
+        this._dataColors = [];
+        this._barPoints = [];
+        this._barNudge = 0;
+
+        ystart = (this._yaxis.min > 0) ? ctx.canvas.height : this._yaxis.series_u2p(0);
+
+        if (showLine) {
+            for (i=0; i<gridData.length; i++) {
+                bin = this._bins[i];
+                if (!bin || gridData[i][1] == null) {
+                    continue;
+                }
+                opts.fillStyle = (this.varyBarColor) ? colors.next() : positiveColor;
+                points = [[xp(bin.low), ystart], [xp(bin.low), gridData[i][1]], [xp(bin.high), gridData[i][1]], [xp(bin.high), ystart]];
+                this._barPoints.push(points);
+                if (shadow) {
+                    sopts = $.extend(true, {}, opts);
+                    delete sopts.fillStyle;
+                    this.renderer.shadowRenderer.draw(ctx, points, sopts);
+                }
+                this._dataColors.push(opts.fillStyle || this.color);
+                this.renderer.shapeRenderer.draw(ctx, points, opts);
+            }
+        }
+
+        if (this.highlightColors.length == 0) {
+            this.highlightColors = $.jqplot.computeHighlightColors(this._dataColors);
+        }
+        else if (typeof(this.highlightColors) == 'string') {
+            var temp = this.highlightColors;
+            this.highlightColors = [];
+            for (i=0; i<this._dataColors.length; i++) {
+                this.highlightColors.push(temp);
+            }
+        }
+    };
+})(jQuery);
@@ -0,0 +1,241 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.jsonParser
+     * Data Renderer function which maps fields of an arbitrary JSON payload
+     * into jqPlot data format.  This is a generic form of <$.jqplot.ciParser>.
+     * Set this as a callable on the jqplot dataRenderer plot option and
+     * describe where the values live with dataRendererOptions:
+     * 
+     * > plot = $.jqplot('mychart', payload, {
+     * >     dataRenderer: $.jqplot.jsonParser,
+     * >     dataRendererOptions: {
+     * >         x: 'rows[*].timestamp',
+     * >         y: ['rows[*].metrics.cpu', 'rows[*].metrics.mem'],
+     * >         groupBy: 'rows[*].host'
+     * >     },
+     * >     axes: { xaxis: { renderer: $.jqplot.DateAxisRenderer } }
+     * > });
+     * 
+     * Where payload is an object or a JSON encoded string.
+     *
+     * Paths are property names separated by dots.  Array elements can be
+     * picked with an index like 'items[0].value'.  '[*]' marks the array of
+     * records, one data point per record, e.g. 'rows[*].metrics.cpu' takes
+     * the metrics.cpu value of every element of the rows array.  The x, y and
+     * groupBy paths should all use the same records array.  A path without
+     * '[*]' is taken relative to each record when the payload itself is an array.
+     *
+     * Each y path gives a series.  With groupBy, the records are further split
+     * into a series for each distinct value of the groupBy field, in order of
+     * first appearance.  Series are labeled with the group value and/or the
+     * last part of the y path, and the labels show up in the legend unless
+     * labels are given in the series options.
+     * 
+     * Note that calling the renderer function is handled internally by jqPlot.  The
+     * user does not have to call the function.  The parameters described below will
+     * automatically be passed to the jsonParser function.
+     * 
+     * Parameters:
+     * data - JSON encoded string or object.
+     * plot - reference to jqPlot Plot object.
+     * options - options object, see below.
+     *
+     * Properties:
+     * x - path to the x values.  null to use only y values, with
+     *   x values generated by jqPlot (default: null).
+     * y - path or array of paths to the y values.
+     * groupBy - path to a field splitting records into series (default: null).
+     * coerce - how to convert x and y values, an object like
+     *   {x: 'date', y: 'number'} or one value for both (default: 'auto').
+     *   Can be:
+     *   'auto' - '/Date(1293840000000)/' strings and ISO 8601 date strings become
+     *     javascript timestamps, numeric strings become numbers.
+     *   'number' - numeric strings become numbers, anything else null.
+     *   'date' - dates are parsed with $.jsDate into javascript timestamps.
+     *   'none' - values are left as they are.
+     *   or a function called with the value and the record, returning the converted value.
+     * 
+     * Returns:
+     * data array in jqPlot format.
+     * 
+     */
+    $.jqplot.jsonParser = function (data, plot, options) {
+        var opts = $.extend({}, $.jqplot.jsonParser.defaults, options),
+            ret = [],
+            labels = [],
+            ypaths,
+            records,
+            root,
+            xc, yc,
+            groups = {},
+            ngroups = 0,
+            group,
+            rec, x, y, key, sidx,
+            i, j;
+
+        if (typeof(data) == "string") {
+            data = $.parseJSON(data);
+        }
+        if (data == null || typeof(data) != "object" || opts.y == null) {
+            return null;
+        }
+
+        ypaths = ($.isArray(opts.y)) ? opts.y : [opts.y];
+        root = splitPath(ypaths[0])[0];
+        records = (root) ? getValue(data, root) : data;
+        if (!$.isArray(records)) {
+            return null;
+        }
+
+        xc = getCoercion(opts.coerce, 'x');
+        yc = getCoercion(opts.coerce, 'y');
+
+        for (i=0; i<records.length; i++) {
+            rec = records[i];
+            // all series share one group if there is no groupBy.
+            key = (opts.groupBy) ? String(getValue(rec, splitPath(opts.groupBy)[1])) : '';
+            group = groups['_' + key];
+            if (group === undefined) {
+                group = groups['_' + key] = ngroups * ypaths.length;
+                ngroups++;
+                for (j=0; j<ypaths.length; j++) {
+                    ret.push([]);
+                    labels.push(makeLabel(key, ypaths[j], opts.groupBy, ypaths.length));
+                }
+            }
+            x = (opts.x) ? xc(getValue(rec, splitPath(opts.x)[1]), rec) : null;
+            for (j=0; j<ypaths.length; j++) {
+                y = yc(getValue(rec, splitPath(ypaths[j])[1]), rec);
+                sidx = group + j;
+                ret[sidx].push((opts.x) ? [x, y] : y);
+            }
+        }
+
+        if (plot) {
+            $.jqplot.labelSeriesFromData(plot, labels);
+        }
+
+        return ret;
+    };
+
+    $.jqplot.jsonParser.defaults = {
+        x: null,
+        y: null,
+        groupBy: null,
+        coerce: 'auto'
+    };
+
+    // Splits a path at the '[*]' marker into the path to the
+    // records array and the path within each record.
+    function splitPath(path) {
+        var idx = path.indexOf('[*]');
+        if (idx < 0) {
+            return ['', path];
+        }
+        return [path.substring(0, idx), path.substring(idx + 3).replace(/^\./, '')];
+    }
+
+    // Walks a path like 'a.b[2].c' into obj.
+    function getValue(obj, path) {
+        if (!path) {
+            return obj;
+        }
+        var parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+        for (var i=0; i<parts.length; i++) {
+            if (parts[i] === '') {
+                continue;
+            }
+            if (obj == null) {
+                return null;
+            }
+            obj = obj[parts[i]];
+        }
+        return (obj === undefined) ? null : obj;
+    }
+
+    function makeLabel(key, ypath, groupBy, ny) {
+        var parts = splitPath(ypath)[1].split('.');
+        var name = parts[parts.length - 1];
+        if (!groupBy) {
+            return name;
+        }
+        return (ny > 1) ? key + ' ' + name : key;
+    }
+
+    function getCoercion(coerce, axis) {
+        var c = ($.isPlainObject(coerce)) ? coerce[axis] : coerce;
+        if ($.isFunction(c)) {
+            return c;
+        }
+        return $.jqplot.jsonParser.coercions[c || 'none'] || $.jqplot.jsonParser.coercions.none;
+    }
+
+    // value converters, available for adding custom coercions by name.
+    $.jqplot.jsonParser.coercions = {
+        none: function(val) {
+            return val;
+        },
+        number: function(val) {
+            if (typeof(val) == "number") {
+                return val;
+            }
+            var n = parseFloat(val);
+            return (isNaN(n)) ? null : n;
+        },
+        date: function(val) {
+            var a;
+            if (val == null || val === '') {
+                return null;
+            }
+            if (typeof(val) == "string") {
+                a = /^\/Date\((-?[0-9]+)([+-][0-9]{4})?\)\/$/.exec(val);
+                if (a) {
+                    return parseInt(a[1], 10);
+                }
+            }
+            return new $.jsDate(val).getTime();
+        },
+        auto: function(val) {
+            if (typeof(val) != "string") {
+                return val;
+            }
+            if (/^\/Date\(/.test(val) || /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(val)) {
+                return $.jqplot.jsonParser.coercions.date(val);
+            }
+            if (/^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(val)) {
+                return parseFloat(val);
+            }
+            return val;
+        }
+    };
+})(jQuery);
@@ -0,0 +1,402 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.VolumeRenderer
+     * jqPlot Plugin to draw trading volume as bars up from 0, colored by
+     * whether the price went up or down.
+     * 
+     * Data points are a date, the volume and true for an up day or
+     * false for a down day:
+     * 
+     * > dat = [['07/06/2009', 1243500, false], ['07/07/2009', 980300, true], ...]
+     * 
+     * Bars are as wide as the candlesticks of an <$.jqplot.OHLCRenderer>
+     * series with the same points.  It is used for the volume pane of
+     * <$.jqplot.OHLCPanes>.
+     */
+    $.jqplot.VolumeRenderer = function(){
+        // subclass line renderer to make use of some of its methods.
+        $.jqplot.LineRenderer.call(this);
+        // prop: upColor
+        // color of the bars of up days.
+        this.upColor = '#3EA140';
+        // prop: downColor
+        // color of the bars of down days.
+        this.downColor = '#C03B3B';
+        // prop: barWidth
+        // width of the bars in pixels.  Default will auto calculate
+        // based on the spacing of the points.
+        this.barWidth = 'auto';
+        this._barWidth;
+    };
+    
+    $.jqplot.VolumeRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.VolumeRenderer.prototype.constructor = $.jqplot.VolumeRenderer;
+    
+    // called with scope of series.
+    $.jqplot.VolumeRenderer.prototype.init = function(options, plot) {
+        options = options || {};
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'volume';
+        this.fill = false;
+        this.showMarker = false;
+        // bars go up from 0.
+        this._extentData = [[null, 0]];
+    };
+    
+    // called within scope of series.
+    $.jqplot.VolumeRenderer.prototype.draw = function(ctx, gd, options) {
+        var d = this.data;
+        var r = this.renderer;
+        var yp = this._yaxis.series_u2p;
+        var base = yp(Math.max(this._yaxis.min, 0));
+        var opts = $.extend(true, {}, options, {fill:false, fillRect:true});
+        var i, x, y, dinterval;
+        ctx.save();
+        if (this.show) {
+            if (typeof(r.barWidth) == 'number') {
+                r._barWidth = r.barWidth;
+            }
+            else {
+                // same width as the candlesticks, from the closest points.
+                for (i=1; i<gd.length; i++) {
+                    x = Math.abs(gd[i][0] - gd[i-1][0]);
+                    if (x > 0 && (dinterval == null || x < dinterval)) {
+                        dinterval = x;
+                    }
+                }
+                r._barWidth = (dinterval != null) ? Math.min(20, dinterval/1.65) : 20;
+            }
+            for (i=0; i<gd.length; i++) {
+                if (d[i][1] == null) {
+                    continue;
+                }
+                x = gd[i][0];
+                y = gd[i][1];
+                opts.fillStyle = (d[i][2] === false) ? r.downColor : r.upColor;
+                r.shapeRenderer.draw(ctx, [x - r._barWidth/2, Math.min(y, base), r._barWidth, Math.abs(base - y)], opts);
+            }
+        }
+        ctx.restore();
+    };
+    
+    $.jqplot.VolumeRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on volume bars.
+    };
+
+    /**
+     * Class: $.jqplot.OHLCPanes
+     * Lays out an OHLC or candlestick chart with a volume pane below it and
+     * any number of further panes for indicators, stacked in one target.
+     * Each pane is a plot of its own on the same date x axis range.  The
+     * cursor line follows the mouse across all the panes and zooming one
+     * zooms them all, see <$.jqplot.Cursor.syncPlots>.
+     * 
+     * To use this plugin, include the renderer js file along with the
+     * ohlc renderer, date axis renderer and cursor plugins in your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.ohlcRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.dateAxisRenderer.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.cursor.js"></script>
+     * > <script type="text/javascript" src="plugins/jqplot.ohlcPanes.js"></script>
+     * 
+     * Then create the panes in place of a plot:
+     * 
+     * > var panes = new $.jqplot.OHLCPanes('chart1', ohlc, {
+     * >     price: {seriesDefaults:{rendererOptions:{candleStick:true}}},
+     * >     volume: {height:0.25},
+     * >     panes: [{data:[rsi], height:0.2, options:{axes:{yaxis:{min:0, max:100}}}}]
+     * > });
+     * > panes.addPane([macd, signal], {height:0.2});
+     * 
+     * Price points are given as for the <$.jqplot.OHLCRenderer>, with the
+     * volume as a sixth value:
+     * 
+     * > ohlc = [['07/06/2009', 138.7, 139.68, 135.18, 135.4, 1243500], ...]
+     * 
+     * Hi low close points have no open price, so their volume is the fifth
+     * value.  Set the hlc renderer option of the price series for them:
+     * 
+     * > hlc = [['07/06/2009', 139.68, 135.18, 135.4, 1243500], ...]
+     * > price: {seriesDefaults:{rendererOptions:{hlc:true}}}
+     * 
+     * Volumes can also be given as their own [date, volume] points in the
+     * data volume option, in the same order as the prices.  Volume bars are
+     * colored by whether the close was up from the open, or from the
+     * previous close for hi low close charts.
+     * 
+     * The height of the target is shared by the panes.  The volume and
+     * indicator panes take the given fraction of it and the price pane the
+     * rest.  Only the bottom pane shows the x axis tick labels.  Call replot
+     * after the target is resized.
+     * 
+     * Options are:
+     * 
+     * price - plot options for the price pane.
+     * volume - options of the volume pane: show, false to leave it out,
+     * height, upColor, downColor, data and options, its plot options.
+     * panes - array of indicator panes, each with data, an array of series
+     * data like for $.jqplot, height and options.
+     * xaxis - options for the x axis of every pane.
+     * cursor - cursor options for every pane.
+     */
+    $.jqplot.OHLCPanes = function(target, data, options) {
+        options = options || {};
+        // Group: Properties
+        //
+        // prop: plots
+        // The plots of the panes, from top to bottom.
+        this.plots = [];
+        // prop: pricePlot
+        // The plot of the price pane.
+        this.pricePlot = null;
+        // prop: volumePlot
+        // The plot of the volume pane, if shown.
+        this.volumePlot = null;
+        this.target = $('#' + target);
+        this._targetId = target;
+        // [pane element, height fraction] of each pane.
+        this._panes = [];
+        this._paneCount = 0;
+
+        var volume = $.extend({show:true, height:0.2, upColor:null, downColor:null, data:null, options:{}}, options.volume);
+        var panes = options.panes || [];
+        var xaxis = $.extend(true, {renderer:$.jqplot.DateAxisRenderer}, options.xaxis);
+        var i;
+
+        // every pane spans the dates of the prices, with room for the candles at the ends.
+        if (xaxis.min == null || xaxis.max == null) {
+            var range = dateRange(data);
+            if (range) {
+                xaxis.min = (xaxis.min == null) ? range[0] : xaxis.min;
+                xaxis.max = (xaxis.max == null) ? range[1] : xaxis.max;
+            }
+        }
+        this._common = {
+            axes: {xaxis:xaxis},
+            cursor: $.extend(true, {show:true, zoom:true, showVerticalLine:true, constrainZoomTo:'x', showTooltip:false}, options.cursor)
+        };
+
+        var count = 1 + ((volume.show) ? 1 : 0) + panes.length;
+        var price = $.extend(true, {seriesDefaults:{renderer:$.jqplot.OHLCRenderer}}, options.price);
+        this.pricePlot = createPane.call(this, [pricePoints(data, priceHlc(price))], price, null, count === 1);
+        if (volume.show) {
+            var ro = {};
+            if (volume.upColor) {
+                ro.upColor = volume.upColor;
+            }
+            if (volume.downColor) {
+                ro.downColor = volume.downColor;
+            }
+            this.volumePlot = createPane.call(this, [volumeData(data, volume.data, this.pricePlot.series[0].renderer.hlc)], $.extend(true, {seriesDefaults:{renderer:$.jqplot.VolumeRenderer, rendererOptions:ro}, axes:{yaxis:{min:0}}}, volume.options), volume.height, count === 2);
+        }
+        for (i=0; i<panes.length; i++) {
+            createPane.call(this, panes[i].data, panes[i].options, (panes[i].height != null) ? panes[i].height : 0.2, i === panes.length - 1);
+        }
+        this.replot();
+    };
+
+    // time in milliseconds of a date value, or null.
+    function toTime(v) {
+        return (v == null) ? null : new $.jsDate(v).getTime();
+    }
+
+    // [min, max] time of the points, padded by half the average spacing.
+    function dateRange(data) {
+        var min = null,
+            max = null,
+            t, pad;
+        for (var i=0; i<data.length; i++) {
+            t = toTime(data[i][0]);
+            if (min == null || t < min) {
+                min = t;
+            }
+            if (max == null || t > max) {
+                max = t;
+            }
+        }
+        if (min == null) {
+            return null;
+        }
+        // a single point gets a day each side.
+        pad = (data.length > 1) ? (max - min) / (data.length - 1) / 2 : 86400000;
+        return [min - pad, max + pad];
+    }
+
+    // True if the hlc renderer option is set for the price series.
+    function priceHlc(options) {
+        var s = (options.series && options.series[0]) || {};
+        return !!$.extend({}, options.seriesDefaults.rendererOptions, s.rendererOptions).hlc;
+    }
+
+    // The price points without their volumes.
+    function pricePoints(data, hlc) {
+        var ret = [];
+        for (var i=0; i<data.length; i++) {
+            ret.push(data[i].slice(0, (hlc) ? 4 : 5));
+        }
+        return ret;
+    }
+
+    // [date, volume, up] points from the value after the prices of the
+    // price points, or from separate [date, volume] points.  hlc is true
+    // if the price series is a hi low close chart.
+    function volumeData(data, vdata, hlc) {
+        var ret = [],
+            vidx = (hlc) ? 4 : 5,
+            p, v, close, prevClose, up;
+        for (var i=0; i<data.length; i++) {
+            p = data[i];
+            if (vdata) {
+                v = (vdata[i]) ? vdata[i][1] : null;
+            }
+            else {
+                v = (p[vidx] != null) ? p[vidx] : null;
+            }
+            close = (hlc) ? p[3] : p[4];
+            if (hlc) {
+                up = (prevClose == null || close >= prevClose);
+            }
+            else {
+                up = (close >= p[1]);
+            }
+            prevClose = close;
+            ret.push([p[0], v, up]);
+        }
+        return ret;
+    }
+
+    // called with scope of panes.
+    // Adds a pane at the bottom and plots its data.  height is the fraction
+    // of the target height it takes, null for the price pane.  The plot is
+    // drawn again by replot once all the panes are laid out.
+    function createPane(data, options, height, bottom) {
+        var id = this._targetId + '-pane' + this._paneCount;
+        var elem = $(document.createElement('div'));
+        elem.attr('id', id);
+        elem.addClass('jqplot-ohlc-pane');
+        this.target.append(elem);
+        this._paneCount++;
+        this._panes.push([elem, height]);
+        // give it a size to plot into, laid out properly by replot.
+        elem.css('height', Math.max(1, Math.round(this.target.height() / (this._panes.length + 1))));
+        var opts = $.extend(true, {}, this._common, options);
+        if (!bottom) {
+            opts.axes.xaxis.tickOptions = $.extend(opts.axes.xaxis.tickOptions, {showLabel:false});
+        }
+        var plot = $.jqplot(id, data, opts);
+        this.plots.push(plot);
+        $.jqplot.Cursor.syncPlots(this.plots);
+        elem = null;
+        return plot;
+    }
+
+    // Group: Methods
+    //
+    // method: addPane
+    // Adds an indicator pane at the bottom and lays out all the panes again.
+    //
+    // Parameters:
+    // data - array of series data, like for $.jqplot.
+    // options - plot options of the pane, with an optional height, the
+    // fraction of the target height the pane takes, 0.2 by default.
+    //
+    // Returns:
+    // The plot of the new pane.
+    $.jqplot.OHLCPanes.prototype.addPane = function(data, options) {
+        options = $.extend(true, {}, options);
+        var height = (options.height != null) ? options.height : 0.2;
+        delete options.height;
+        var last = this.plots[this.plots.length - 1];
+        var plot = createPane.call(this, data, options, height, true);
+        // the pane above no longer shows the x axis labels.
+        last.replot({axes:{xaxis:{tickOptions:{showLabel:false}}}});
+        this.replot();
+        return plot;
+    };
+
+    // method: replot
+    // Sizes the panes to the height of the target and replots them with
+    // their grids lined up.
+    $.jqplot.OHLCPanes.prototype.replot = function() {
+        var height = this.target.height();
+        var rest = height;
+        var i, h, left, right, plot;
+        for (i=0; i<this._panes.length; i++) {
+            if (this._panes[i][1] != null) {
+                h = Math.round(height * this._panes[i][1]);
+                this._panes[i][0].css('height', h);
+                rest -= h;
+            }
+        }
+        for (i=0; i<this._panes.length; i++) {
+            if (this._panes[i][1] == null) {
+                this._panes[i][0].css('height', Math.max(rest, 1));
+            }
+        }
+        // the axes on the sides can be of different widths, draw them
+        // once to get the widest and draw them again with those.
+        left = 0;
+        right = 0;
+        for (i=0; i<this.plots.length; i++) {
+            plot = this.plots[i];
+            plot._gridPadding.left = null;
+            plot._gridPadding.right = null;
+            plot.replot();
+            left = Math.max(left, plot._gridPadding.left);
+            right = Math.max(right, plot._gridPadding.right);
+        }
+        for (i=0; i<this.plots.length; i++) {
+            plot = this.plots[i];
+            if (plot._gridPadding.left !== left || plot._gridPadding.right !== right) {
+                plot._gridPadding.left = left;
+                plot._gridPadding.right = right;
+                plot.redraw();
+            }
+        }
+        plot = null;
+    };
+
+    // method: destroy
+    // Destroys the plots and removes the panes from the target.
+    $.jqplot.OHLCPanes.prototype.destroy = function() {
+        for (var i=0; i<this.plots.length; i++) {
+            this.plots[i].target.unbind('.jqplotCursorSync');
+            this.plots[i].destroy();
+            this._panes[i][0].remove();
+        }
+        this.plots = [];
+        this._panes = [];
+        this.pricePlot = null;
+        this.volumePlot = null;
+    };
+})(jQuery);
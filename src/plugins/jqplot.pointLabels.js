@@ -70,6 +70,9 @@
      * but still want to use values from the series array as labels, set the
      * "labelsFromSeries" option to true.
      * 
+     * Object shaped data points like {x:1, y:2, label:'low'} are labeled
+     * with their label property, if they have one.
+     * 
      * By default, html entities (<, >, etc.) are escaped in point labels.  
      * If you want to include actual html markup in the labels, 
      * set the "escapeHTML" option to false.
@@ -100,6 +103,8 @@
         this._labels = [];
         // prop: stackedValue
         // true to display value as stacked in a stacked plot.
+        // On a percent stacked plot (stackSeries: 'percent') this is the
+        // stacked percentage.
         // no effect if labels is specified.
         this.stackedValue = false;
         // prop: ypadding
@@ -126,6 +131,14 @@
         // prop: hideZeros
         // true to not show a label for a value which is 0.
         this.hideZeros = false;
+        // prop: rangeBarEnd
+        // For bar series with rangeBars, which end of the bar to label,
+        // 'high' or 'low'.  The label is placed beyond that end of the bar.
+        this.rangeBarEnd = 'high';
+        // prop: showWaterfallSign
+        // true to prefix increases in a waterfall bar plot with a '+'.
+        // Decreases always show their '-', subtotals and totals no sign.
+        this.showWaterfallSign = true;
         this._elems = [];
         
         $.extend(true, this, options);
@@ -154,6 +167,9 @@
         if (p.seriesLabelIndex != null) {
             labelIdx = p.seriesLabelIndex;
         }
+        else if (this.renderer.constructor === $.jqplot.BarRenderer && this.rangeBars) {
+            labelIdx = (p.rangeBarEnd !== 'low') ? 2 : (this.barDirection === 'horizontal') ? 0 : 1;
+        }
         else if (this.renderer.constructor === $.jqplot.BarRenderer && this.barDirection === 'horizontal') {
            labelIdx = (this._plotData[0].length < 3) ? 0 : this._plotData[0].length -1;
         }
@@ -184,6 +200,12 @@
                 }
                 d = null;
             }
+            // object shaped data points with a label use it.
+            for (var i=0; i<this.data.length; i++) {
+                if (this.data[i].point && this.data[i].point.label != null) {
+                    p._labels[i] = this.data[i].point.label;
+                }
+            }
         }
         else if (p.labels.length){
             p._labels = p.labels;
@@ -282,7 +304,9 @@
         if (p.show) {
             var ax = '_'+this._stackAxis+'axis';
         
-            if (!p.formatString) {
+            // raw values on a percent stacked plot aren't percentages,
+            // so only stacked values borrow the axis format there.
+            if (!p.formatString && (p.stackedValue || !this._percentValues)) {
                 p.formatString = this[ax]._ticks[0].formatString;
                 p.formatter = this[ax]._ticks[0].formatter;
             }
@@ -300,7 +324,12 @@
                     continue;
                 }
                 
+                // waterfall increases taken from the data are labeled with their sign.
+                var signed = (p.showWaterfallSign && p._labels !== p.labels && !p.stackedValue && this.waterfall && this._waterfallTypes && this._waterfallTypes[i] === 'increase' && label > 0);
                 label = p.formatter(p.formatString, label);
+                if (signed) {
+                    label = '+' + label;
+                }
 
                 helem = document.createElement('div');
                 p._elems[i] = $(helem);
@@ -324,8 +353,27 @@
                 }
 
 
-                var ell = xax.u2p(pd[i][0]) + p.xOffset(elem, location);
-                var elt = yax.u2p(pd[i][1]) + p.yOffset(elem, location);
+                var lx = pd[i][0];
+                var ly = pd[i][1];
+                
+                // range bars are labeled at the chosen end, outside the bar.
+                if (this.renderer.constructor === $.jqplot.BarRenderer && this.rangeBars) {
+                    var vidx = (this.barDirection === 'horizontal') ? 0 : 1;
+                    var val = (p.rangeBarEnd === 'low') ? pd[i][vidx] : pd[i][2];
+                    var other = (p.rangeBarEnd === 'low') ? pd[i][2] : pd[i][vidx];
+                    if (val < other) {
+                        location = oppositeLocations[locationIndicies[location]];
+                    }
+                    if (vidx === 0) {
+                        lx = val;
+                    }
+                    else {
+                        ly = val;
+                    }
+                }
+
+                var ell = xax.u2p(lx) + p.xOffset(elem, location);
+                var elt = yax.u2p(ly) + p.yOffset(elem, location);
 
                 // we have stacked chart but are not showing stacked values,
                 // place labels in center.
@@ -0,0 +1,418 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.PolarRenderer
+     * Plugin renderer to draw line and scatter series in polar coordinates.
+     * Data points are [angle, radius].
+     * 
+     * To use this renderer, you need to include the 
+     * polar renderer plugin, for example:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.polarRenderer.js"></script>
+     * 
+     * > plot = $.jqplot('chart', [[[0, 4], [45, 7], [90, 3], [180, 9], [270, 5]]], {
+     * >     seriesDefaults: {
+     * >         renderer:$.jqplot.PolarRenderer,
+     * >         showLine: false
+     * >     },
+     * >     axes: {
+     * >         xaxis: {
+     * >             rendererOptions: {zeroDirection: 'north', clockwise: true, tickFormat: 'compass'}
+     * >         }
+     * >     }
+     * > });
+     * 
+     * Polar plots use the <$.jqplot.PolarAxisRenderer> for their axes and
+     * the <$.jqplot.PolarGridRenderer> to draw the grid.  The x axis is the
+     * angle, the y axis the radius.
+     * 
+     * Points are joined in order of angle, unless the plot sortData option
+     * is false.  They are highlighted by the highlighter plugin like on other
+     * line series, with the angle in the tooltip formatted like the angle ticks.
+     */
+    $.jqplot.PolarRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.PolarRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.PolarRenderer.prototype.constructor = $.jqplot.PolarRenderer;
+    
+    // called with scope of series.
+    $.jqplot.PolarRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: closeLine
+        // True to join the last point back to the first, like for a
+        // pattern all the way around.
+        this.renderer.closeLine = false;
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        this._type = 'polar';
+        // lines are drawn straight from point to point in polar space,
+        // none of the cartesian line options apply.
+        this.fill = false;
+        this.step = false;
+        this.renderer.smooth = false;
+        this.renderer.downsample = false;
+        this.renderer.bands.show = false;
+    };
+
+    // Center and radius of the polar grid in a width by height grid area.
+    function polarGeometry(xaxis, width, height) {
+        return {
+            center: [width/2, height/2],
+            radius: Math.max(Math.min(width, height)/2 - xaxis.padding, 0)
+        };
+    }
+
+    // Canvas angle in radians, clockwise from the right, of data angle a.
+    function canvasAngle(xaxis, a) {
+        var rad = (xaxis.angleUnit == 'radians') ? a : a * Math.PI / 180;
+        return xaxis._zeroAngle + ((xaxis.clockwise) ? rad : -rad);
+    }
+
+    // Distance from the center of radius v.
+    function radialDistance(yaxis, v, radius) {
+        return (yaxis.max > yaxis.min) ? Math.max(0, (v - yaxis.min) / (yaxis.max - yaxis.min) * radius) : 0;
+    }
+
+    // called with scope of series.
+    $.jqplot.PolarRenderer.prototype.setGridData = function(plot) {
+        this.gridData = this.renderer.makeGridData.call(this, this.data, plot);
+    };
+
+    // called with scope of series.
+    $.jqplot.PolarRenderer.prototype.makeGridData = function(data, plot) {
+        var geo = polarGeometry(this._xaxis, plot.grid._width, plot.grid._height),
+            gd = [],
+            i, a, r;
+        for (i=0; i<data.length; i++) {
+            if (data[i][0] == null || data[i][1] == null) {
+                gd.push([null, null]);
+            }
+            else {
+                a = canvasAngle(this._xaxis, data[i][0]);
+                r = radialDistance(this._yaxis, data[i][1], geo.radius);
+                gd.push([geo.center[0] + r * Math.cos(a), geo.center[1] + r * Math.sin(a)]);
+            }
+            if (data[i].point) {
+                gd[gd.length-1].point = data[i].point;
+            }
+        }
+        return gd;
+    };
+
+    // called with scope of series.
+    $.jqplot.PolarRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        if (this.renderer.closeLine && gd.length > 2 && gd[0][0] != null && gd[gd.length-1][0] != null) {
+            gd = gd.concat([gd[0]]);
+        }
+        $.jqplot.LineRenderer.prototype.draw.call(this, ctx, gd, options, plot);
+    };
+
+    var compassPoints = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+    // Tick formatter for the angles of axis, in the axis tickFormat.
+    function angleFormatter(axis) {
+        return function(format, val) {
+            var deg = (axis.angleUnit == 'radians') ? val * 180 / Math.PI : val,
+                k, n, d, i, dens;
+            switch (axis.tickFormat) {
+                case 'compass':
+                    deg = (deg % 360 + 360) % 360;
+                    n = compassPoints[Math.round(deg / 22.5) % 16];
+                    // in between the points, give the bearing too.
+                    return (Math.abs(deg / 22.5 - Math.round(deg / 22.5)) < 1e-9) ? n : $.jqplot.sprintf(format || '%d', deg) + '\u00b0 ' + n;
+                case 'radians':
+                    // multiples of simple fractions of pi.
+                    k = deg / 180;
+                    dens = [1, 2, 3, 4, 6, 8, 12];
+                    for (i=0; i<dens.length; i++) {
+                        d = dens[i];
+                        n = Math.round(k * d);
+                        if (Math.abs(k * d - n) < 1e-9) {
+                            if (n == 0) {
+                                return '0';
+                            }
+                            return ((n == 1) ? '' : (n == -1) ? '-' : n) + '\u03c0' + ((d == 1) ? '' : '/' + d);
+                        }
+                    }
+                    return $.jqplot.sprintf(format || '%.2f', deg * Math.PI / 180);
+                default:
+                    return ((format) ? $.jqplot.sprintf(format, deg) : String(Math.round(deg * 100) / 100)) + '\u00b0';
+            }
+        };
+    }
+
+    /**
+     * Class: $.jqplot.PolarAxisRenderer
+     * Axis renderer for polar plots.  The axes aren't drawn themselves,
+     * the <$.jqplot.PolarGridRenderer> draws the grid with their ticks.
+     * 
+     * The x axis is the angle, going all the way around.  Its ticks are
+     * spread evenly around the circle, numberTicks of them, unless given
+     * as the ticks option.
+     * The y axis is the radius, autoscaled from 0 with the
+     * <$.jqplot.LinearTickGenerator> and taking the usual min, max,
+     * numberTicks and tickOptions options.
+     */
+    $.jqplot.PolarAxisRenderer = function() {
+        $.jqplot.LinearAxisRenderer.call(this);
+    };
+    
+    $.jqplot.PolarAxisRenderer.prototype = new $.jqplot.LinearAxisRenderer();
+    $.jqplot.PolarAxisRenderer.prototype.constructor = $.jqplot.PolarAxisRenderer;
+
+    // called with scope of axis object.
+    $.jqplot.PolarAxisRenderer.prototype.init = function(options){
+        // The following are only used on the x (angle) axis.
+        //
+        // prop: angleUnit
+        // Unit of the angles in the data, 'degrees' or 'radians'.
+        this.angleUnit = 'degrees';
+        // prop: zeroDirection
+        // Direction of angle 0, 'east', 'north', 'west' or 'south', or an
+        // angle in degrees counter-clockwise from east.
+        this.zeroDirection = 'east';
+        // prop: clockwise
+        // True for angles to go clockwise, like compass bearings.
+        this.clockwise = false;
+        // prop: tickFormat
+        // How the angle ticks are labeled, 'degrees', 'radians' (as
+        // fractions of pi) or 'compass' (N, NNE, NE...).
+        // Default is 'radians' for radian data, 'degrees' otherwise.
+        this.tickFormat = null;
+        // prop: padding
+        // Pixels left between the outer circle and the edge of the grid,
+        // room for the angle labels.
+        this.padding = 25;
+        $.extend(true, this, options);
+
+        var directions = {east: 0, north: -90, west: 180, south: 90},
+            full = (this.angleUnit == 'radians') ? 2*Math.PI : 360,
+            vals = [],
+            values = [],
+            fmt = this.tickOptions.formatString || '',
+            min = 0,
+            max = 100,
+            n, d, i, j, s, ret, t;
+        this._zeroAngle = ((directions[this.zeroDirection] != null) ? directions[this.zeroDirection] : -this.zeroDirection) * Math.PI / 180;
+        if (this.tickFormat == null) {
+            this.tickFormat = (this.angleUnit == 'radians') ? 'radians' : 'degrees';
+        }
+
+        if (this.name.charAt(0) == 'x') {
+            if (this.ticks.length) {
+                values = this.ticks.slice(0);
+            }
+            else {
+                n = this.numberTicks || ((this.tickFormat == 'compass') ? 8 : 12);
+                for (i=0; i<n; i++) {
+                    values.push(full * i / n);
+                }
+            }
+            min = 0;
+            max = full;
+        }
+        else {
+            for (i=0; i<this._series.length; i++) {
+                s = this._series[i];
+                if (s.renderer.constructor != $.jqplot.PolarRenderer) {
+                    continue;
+                }
+                d = s.data;
+                for (j=0; j<d.length; j++) {
+                    if (d[j][1] != null) {
+                        vals.push(d[j][1]);
+                    }
+                }
+            }
+            if (vals.length || this.max != null) {
+                min = (this.min != null) ? this.min : 0;
+                max = (this.max != null) ? this.max : $.jqplot.arrayMax(vals);
+                ret = $.jqplot.LinearTickGenerator(min, max, 1, this.numberTicks, true, this.max != null);
+                min = ret[0];
+                max = ret[1];
+                fmt = fmt || ret[3];
+                for (i=0; i<ret[2]; i++) {
+                    values.push(min + i * ret[4]);
+                }
+            }
+        }
+
+        // ticks the grid draws, also giving the highlighter its formatters.
+        this._ticks = [];
+        for (i=0; i<values.length; i++) {
+            t = new this.tickRenderer(this.tickOptions);
+            if (this.name.charAt(0) == 'x' && !this.tickOptions.formatter) {
+                t.formatter = angleFormatter(this);
+            }
+            t.formatString = fmt;
+            this._ticks.push(t.setTick(values[i], this.name));
+        }
+        this._dataBounds = {min:min, max:max};
+        this.min = min;
+        this.max = max;
+        this.showTicks = false;
+        this.ticks = [];
+        this.showMark = false;
+        this.show = false;
+    };
+
+    /**
+     * Class: $.jqplot.PolarGridRenderer
+     * Grid renderer for polar plots, drawing circles at the radius ticks
+     * and spokes at the angle ticks, with their labels.  Takes the usual
+     * <Grid> options plus those below.
+     */
+    $.jqplot.PolarGridRenderer = function(){
+        $.jqplot.CanvasGridRenderer.call(this);
+    };
+
+    $.jqplot.PolarGridRenderer.prototype = new $.jqplot.CanvasGridRenderer();
+    $.jqplot.PolarGridRenderer.prototype.constructor = $.jqplot.PolarGridRenderer;
+
+    // called with context of Grid object
+    $.jqplot.PolarGridRenderer.prototype.init = function(options) {
+        // prop: showRadiusLabels
+        // True to label the circles with their radius along the zero direction.
+        this.showRadiusLabels = true;
+        // prop: angleLabelOffset
+        // Pixels between the outer circle and the angle labels.
+        this.angleLabelOffset = 6;
+        $.jqplot.CanvasGridRenderer.prototype.init.call(this, options);
+    };
+
+    // label text of tick t.
+    function tickLabel(t) {
+        return t.prefix + t.formatter(t.formatString, t.value) + t.suffix;
+    }
+
+    // called with context of Grid object
+    $.jqplot.PolarGridRenderer.prototype.draw = function() {
+        this._ctx = this._elem.get(0).getContext("2d");
+        var ctx = this._ctx,
+            xaxis = this._axes.xaxis,
+            yaxis = this._axes.yaxis,
+            geo = polarGeometry(xaxis, this._width, this._height),
+            cx = this._left + geo.center[0],
+            cy = this._top + geo.center[1],
+            i, a, r, x, y, elem;
+
+        ctx.save();
+        ctx.clearRect(0, 0, this._plotDimensions.width, this._plotDimensions.height);
+        ctx.fillStyle = this.backgroundColor || this.background;
+        ctx.fillRect(this._left, this._top, this._width, this._height);
+
+        ctx.lineJoin = 'miter';
+        ctx.lineCap = 'butt';
+        if (this.drawGridlines) {
+            ctx.lineWidth = this.gridLineWidth;
+            ctx.strokeStyle = this.gridLineColor;
+            for (i=0; i<yaxis._ticks.length; i++) {
+                r = radialDistance(yaxis, yaxis._ticks[i].value, geo.radius);
+                if (r > 0 && r < geo.radius) {
+                    ctx.beginPath();
+                    ctx.arc(cx, cy, r, 0, 2*Math.PI, false);
+                    ctx.stroke();
+                }
+            }
+            for (i=0; i<xaxis._ticks.length; i++) {
+                a = canvasAngle(xaxis, xaxis._ticks[i].value);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + geo.radius * Math.cos(a), cy + geo.radius * Math.sin(a));
+                ctx.stroke();
+            }
+        }
+        if (this.drawBorder) {
+            ctx.lineWidth = this.borderWidth;
+            ctx.strokeStyle = this.borderColor;
+            ctx.beginPath();
+            ctx.arc(cx, cy, geo.radius, 0, 2*Math.PI, false);
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // labels go in divs on top of the grid canvas, like axis ticks.
+        this._elem.parent().find('.jqplot-polar-label').remove();
+        for (i=0; i<xaxis._ticks.length; i++) {
+            a = canvasAngle(xaxis, xaxis._ticks[i].value);
+            x = cx + (geo.radius + this.angleLabelOffset) * Math.cos(a);
+            y = cy + (geo.radius + this.angleLabelOffset) * Math.sin(a);
+            elem = $('<div class="jqplot-polar-label jqplot-polar-angle-label" style="position:absolute;"></div>');
+            elem.text(tickLabel(xaxis._ticks[i]));
+            this._elem.after(elem);
+            // anchor the label on the side facing the circle.
+            elem.css({left: Math.round(x - elem.outerWidth() * (1 - Math.cos(a)) / 2), top: Math.round(y - elem.outerHeight() * (1 - Math.sin(a)) / 2)});
+        }
+        if (this.showRadiusLabels) {
+            a = xaxis._zeroAngle;
+            for (i=0; i<yaxis._ticks.length; i++) {
+                r = radialDistance(yaxis, yaxis._ticks[i].value, geo.radius);
+                elem = $('<div class="jqplot-polar-label jqplot-polar-radius-label" style="position:absolute;"></div>');
+                elem.text(tickLabel(yaxis._ticks[i]));
+                this._elem.after(elem);
+                elem.css({left: Math.round(cx + r * Math.cos(a) + 3), top: Math.round(cy + r * Math.sin(a) + 2)});
+            }
+        }
+        elem = null;
+    };
+
+    // setup default renderers for axes and grid so user doesn't have to
+    // called with scope of plot
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axesDefaults = options.axesDefaults || {};
+        options.grid = options.grid || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        // only set these if there is a polar series
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.PolarRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.PolarRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        
+        if (setopts) {
+            options.axesDefaults.renderer = $.jqplot.PolarAxisRenderer;
+            options.grid.renderer = options.grid.renderer || $.jqplot.PolarGridRenderer;
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+    
+    $.jqplot.preInitHooks.push(preInit);
+})(jQuery);
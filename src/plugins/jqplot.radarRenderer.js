@@ -0,0 +1,567 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.RadarRenderer
+     * Plugin renderer to draw a radar (spider) chart.
+     * x values name the spokes, y values give the distance along them
+     * from the center.  Each series is drawn as a polygon joining its
+     * values on the spokes.
+     * 
+     * To use this renderer, you need to include the 
+     * radar renderer plugin, for example:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.radarRenderer.js"></script>
+     * 
+     * > plot = $.jqplot('chart', [[['Speed', 7], ['Power', 4], ['Range', 9], ['Cost', 3], ['Comfort', 6]],
+     * >                           [['Speed', 5], ['Power', 8], ['Range', 4], ['Cost', 6], ['Comfort', 7]]], {
+     * >     seriesDefaults: {
+     * >         renderer:$.jqplot.RadarRenderer,
+     * >         fill: true
+     * >     },
+     * >     grid: {
+     * >         gridShape: 'circle'
+     * >     }
+     * > });
+     * 
+     * Plain arrays of values work too, with the spoke names given as
+     * the x axis ticks.
+     * 
+     * Radar plots use the <$.jqplot.RadarAxisRenderer> for their axes and
+     * the <$.jqplot.RadarGridRenderer> to draw the spokes and gridlines.
+     * The x axis places the spokes, the y axis scales the values along them.
+     * 
+     * A radar plot will trigger events on the plot target
+     * according to user interaction.  All events return the event object,
+     * the series index, the point index, and the point data for 
+     * the appropriate point.
+     * 
+     * 'jqplotDataMouseOver' - triggered when user mouseing over a point.
+     * 'jqplotDataHighlight' - triggered the first time user mouses over a point,
+     * if highlighting is enabled.
+     * 'jqplotDataUnhighlight' - triggered when a user moves the mouse out of
+     * a highlighted point.
+     * 'jqplotDataClick' - triggered when the user clicks on a point.
+     * 'jqplotDataRightClick' - tiggered when the user right clicks on a point if
+     * the "captureRightClick" option is set to true on the plot.
+     */
+    $.jqplot.RadarRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.RadarRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.RadarRenderer.prototype.constructor = $.jqplot.RadarRenderer;
+    
+    // called with scope of series.
+    $.jqplot.RadarRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: highlightMouseOver
+        // True to highlight points when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on a point.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over a point.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color of the disc drawn behind a highlighted point.
+        // Default is a lighter shade of the series color.
+        this.highlightColor = null;
+        this._type = 'radar';
+        this._highlightedPoint = null;
+
+        options = options || {};
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+
+        $.extend(true, this, options);
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+        if (!this.highlightColor) {
+            this.highlightColor = $.jqplot.computeHighlightColors(this.color);
+        }
+        // a filled polygon still needs to show the polygons under it.
+        if (this.fill && !this.fillAlpha && this.fillColor === this.color) {
+            var comp = $.jqplot.getColorComponents(this.color);
+            this.fillColor = 'rgba('+comp[0]+','+comp[1]+','+comp[2]+','+(comp[3] * 0.3)+')';
+        }
+        // points highlight themselves, keep the highlighter plugin off them.
+        this.showHighlight = false;
+
+        var opts = {lineJoin:this.lineJoin, lineCap:this.lineCap, fill:false, isarc:false, strokeStyle:this.color, fillStyle:this.fillColor, lineWidth:this.lineWidth, linePattern:this.linePattern, closePath:true};
+        this.renderer.shapeRenderer.init(opts);
+        var sopts = {lineJoin:this.lineJoin, lineCap:this.lineCap, fill:false, isarc:false, angle:this.shadowAngle, offset:this.shadowOffset, alpha:this.shadowAlpha, depth:this.shadowDepth, lineWidth:this.lineWidth, linePattern:this.linePattern, closePath:true};
+        this.renderer.shadowRenderer.init(sopts);
+
+        plot.postDrawHooks.addOnce(postPlotDraw);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+    };
+
+    // Center and radius of the radar in a width by height grid area.
+    function radarGeometry(xaxis, width, height) {
+        return {
+            center: [width/2, height/2],
+            radius: Math.max(Math.min(width, height)/2 - xaxis.padding, 0)
+        };
+    }
+
+    // Angle in radians of spoke i, clockwise from the right.
+    function spokeAngle(xaxis, i) {
+        return (xaxis.startAngle + 360 * i / Math.max(xaxis._spokes.length, 1)) * Math.PI / 180;
+    }
+
+    // Distance from the center of value v on the radial axis.
+    function radialDistance(yaxis, v, radius) {
+        return (yaxis.max > yaxis.min) ? (v - yaxis.min) / (yaxis.max - yaxis.min) * radius : 0;
+    }
+
+    // called with scope of series.
+    $.jqplot.RadarRenderer.prototype.setGridData = function(plot) {
+        this.gridData = this.renderer.makeGridData.call(this, this.data, plot);
+    };
+
+    // called with scope of series.
+    $.jqplot.RadarRenderer.prototype.makeGridData = function(data, plot) {
+        var geo = radarGeometry(this._xaxis, plot.grid._width, plot.grid._height),
+            gd = [],
+            i, k, a, r;
+        for (i=0; i<data.length; i++) {
+            k = $.inArray(data[i][0], this._xaxis._spokes);
+            if (k == -1 || data[i][1] == null) {
+                gd.push([null, null]);
+                continue;
+            }
+            a = spokeAngle(this._xaxis, k);
+            r = radialDistance(this._yaxis, data[i][1], geo.radius);
+            gd.push([geo.center[0] + r * Math.cos(a), geo.center[1] + r * Math.sin(a)]);
+        }
+        return gd;
+    };
+
+    // called with scope of series.
+    $.jqplot.RadarRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        var opts = $.extend(true, {}, options),
+            shadow = (opts.shadow != undefined) ? opts.shadow : this.shadow,
+            showLine = (opts.showLine != undefined) ? opts.showLine : this.showLine,
+            fill = (opts.fill != undefined) ? opts.fill : this.fill,
+            points = [],
+            i;
+        for (i=0; i<gd.length; i++) {
+            if (gd[i][0] != null && gd[i][1] != null) {
+                points.push(gd[i]);
+            }
+        }
+        if (!points.length) {
+            return;
+        }
+        ctx.save();
+        if (showLine) {
+            if (shadow) {
+                this.renderer.shadowRenderer.draw(ctx, points, {fill:fill});
+            }
+            if (fill) {
+                this.renderer.shapeRenderer.draw(ctx, points, {fill:true, fillStyle:this.fillColor});
+            }
+            this.renderer.shapeRenderer.draw(ctx, points, {fill:false});
+        }
+        if (this.markerRenderer.show) {
+            for (i=0; i<points.length; i++) {
+                this.markerRenderer.draw(points[i][0], points[i][1], ctx, opts.markerOptions);
+            }
+        }
+        ctx.restore();
+    };
+
+    $.jqplot.RadarRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, shadows drawn with the polygons.
+    };
+
+    /**
+     * Class: $.jqplot.RadarAxisRenderer
+     * Axis renderer for radar plots.  The axes aren't drawn themselves,
+     * the <$.jqplot.RadarGridRenderer> draws the spokes and the gridlines
+     * with their labels.
+     * 
+     * The x axis places the spokes, one for each distinct x value of the
+     * radar series, labeled with the axis ticks or else the x values.
+     * The y axis scales the values along the spokes and takes the usual
+     * min, max, numberTicks and tickOptions formatString and formatter
+     * options.  The scale starts at 0 unless there are negative values.
+     */
+    $.jqplot.RadarAxisRenderer = function() {
+        $.jqplot.LinearAxisRenderer.call(this);
+    };
+    
+    $.jqplot.RadarAxisRenderer.prototype = new $.jqplot.LinearAxisRenderer();
+    $.jqplot.RadarAxisRenderer.prototype.constructor = $.jqplot.RadarAxisRenderer;
+
+    // called with scope of axis object.
+    $.jqplot.RadarAxisRenderer.prototype.init = function(options){
+        // prop: startAngle
+        // Angle in degrees of the first spoke, clockwise from the right.
+        // Only used on the x axis.  Default puts the first spoke at the top.
+        this.startAngle = -90;
+        // prop: padding
+        // Pixels left between the ends of the spokes and the edge of the grid,
+        // room for the spoke labels.  Only used on the x axis.
+        this.padding = 30;
+        $.extend(true, this, options);
+
+        var vals = [],
+            ticks = [],
+            min = 0,
+            max = 100,
+            fmt = '',
+            d, i, j, ret;
+        this._spokes = [];
+        for (i=0; i<this._series.length; i++) {
+            if (this._series[i].renderer.constructor != $.jqplot.RadarRenderer) {
+                continue;
+            }
+            d = this._series[i].data;
+            for (j=0; j<d.length; j++) {
+                if ($.inArray(d[j][0], this._spokes) == -1) {
+                    this._spokes.push(d[j][0]);
+                }
+                if (d[j][1] != null) {
+                    vals.push(d[j][1]);
+                }
+            }
+        }
+        this._spokeLabels = [];
+        for (i=0; i<this._spokes.length; i++) {
+            this._spokeLabels.push((this.ticks[i] != null) ? String(this.ticks[i]) : String(this._spokes[i]));
+        }
+
+        if (this.name.charAt(0) == 'y' && vals.length) {
+            if (this.min != null && this.max != null) {
+                min = this.min;
+                max = this.max;
+                j = this.numberTicks || 5;
+                for (i=0; i<j; i++) {
+                    ticks.push(min + (max - min) * i / (j - 1));
+                }
+            }
+            else {
+                min = (this.min != null) ? this.min : Math.min(0, $.jqplot.arrayMin(vals));
+                max = (this.max != null) ? this.max : $.jqplot.arrayMax(vals);
+                ret = $.jqplot.LinearTickGenerator(min, max, 1, this.numberTicks, this.min != null, this.max != null);
+                min = ret[0];
+                max = ret[1];
+                fmt = ret[3];
+                for (i=0; i<ret[2]; i++) {
+                    ticks.push(min + i * ret[4]);
+                }
+            }
+        }
+        this._radarTicks = ticks;
+        this._radarFormatString = fmt;
+        this._dataBounds = {min:min, max:max};
+        this.min = min;
+        this.max = max;
+        this.showTicks = false;
+        this.ticks = [];
+        this.showMark = false;
+        this.show = false;
+    };
+
+    /**
+     * Class: $.jqplot.RadarGridRenderer
+     * Grid renderer for radar plots, drawing the spokes with their labels
+     * and gridlines around the center at the y axis ticks, labeled with
+     * the tick values.  Takes the usual <Grid> options plus those below.
+     */
+    $.jqplot.RadarGridRenderer = function(){
+        $.jqplot.CanvasGridRenderer.call(this);
+    };
+
+    $.jqplot.RadarGridRenderer.prototype = new $.jqplot.CanvasGridRenderer();
+    $.jqplot.RadarGridRenderer.prototype.constructor = $.jqplot.RadarGridRenderer;
+
+    // called with context of Grid object
+    $.jqplot.RadarGridRenderer.prototype.init = function(options) {
+        // prop: gridShape
+        // 'polygon' to draw the gridlines straight between the spokes,
+        // 'circle' to draw them as circles.
+        this.gridShape = 'polygon';
+        // prop: showTickLabels
+        // True to label the gridlines with their values along the first spoke.
+        this.showTickLabels = true;
+        // prop: spokeLabelOffset
+        // Pixels between the end of a spoke and its label.
+        this.spokeLabelOffset = 6;
+        $.jqplot.CanvasGridRenderer.prototype.init.call(this, options);
+    };
+
+    // called with context of Grid object
+    $.jqplot.RadarGridRenderer.prototype.draw = function() {
+        this._ctx = this._elem.get(0).getContext("2d");
+        var ctx = this._ctx,
+            xaxis = this._axes.xaxis,
+            yaxis = this._axes.yaxis,
+            geo = radarGeometry(xaxis, this._width, this._height),
+            cx = this._left + geo.center[0],
+            cy = this._top + geo.center[1],
+            n = xaxis._spokes.length,
+            ticks = yaxis._radarTicks || [],
+            i, j, a, r, x, y, elem;
+
+        ctx.save();
+        ctx.clearRect(0, 0, this._plotDimensions.width, this._plotDimensions.height);
+        ctx.fillStyle = this.backgroundColor || this.background;
+        ctx.fillRect(this._left, this._top, this._width, this._height);
+
+        ctx.lineJoin = 'miter';
+        ctx.lineCap = 'butt';
+        ctx.lineWidth = this.gridLineWidth;
+        ctx.strokeStyle = this.gridLineColor;
+
+        // gridlines, the last one is the border.
+        for (i=0; i<ticks.length; i++) {
+            r = radialDistance(yaxis, ticks[i], geo.radius);
+            if (r <= 0 || (!this.drawGridlines && i < ticks.length - 1)) {
+                continue;
+            }
+            if (i == ticks.length - 1 && this.drawBorder) {
+                ctx.lineWidth = this.borderWidth;
+                ctx.strokeStyle = this.borderColor;
+            }
+            ctx.beginPath();
+            if (this.gridShape == 'circle' || n < 3) {
+                ctx.arc(cx, cy, r, 0, 2*Math.PI, false);
+            }
+            else {
+                for (j=0; j<n; j++) {
+                    a = spokeAngle(xaxis, j);
+                    if (j) {
+                        ctx.lineTo(cx + r * Math.cos(a), cy + r * Math.sin(a));
+                    }
+                    else {
+                        ctx.moveTo(cx + r * Math.cos(a), cy + r * Math.sin(a));
+                    }
+                }
+                ctx.closePath();
+            }
+            ctx.stroke();
+        }
+
+        // spokes
+        ctx.lineWidth = this.gridLineWidth;
+        ctx.strokeStyle = this.gridLineColor;
+        for (i=0; i<n; i++) {
+            a = spokeAngle(xaxis, i);
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + geo.radius * Math.cos(a), cy + geo.radius * Math.sin(a));
+            ctx.stroke();
+        }
+        ctx.restore();
+
+        // labels go in divs on top of the grid canvas, like axis ticks.
+        this._elem.parent().find('.jqplot-radar-label').remove();
+        for (i=0; i<n; i++) {
+            a = spokeAngle(xaxis, i);
+            x = cx + (geo.radius + this.spokeLabelOffset) * Math.cos(a);
+            y = cy + (geo.radius + this.spokeLabelOffset) * Math.sin(a);
+            elem = $('<div class="jqplot-radar-label jqplot-radar-spoke-label" style="position:absolute;"></div>');
+            elem.text(xaxis._spokeLabels[i]);
+            this._elem.after(elem);
+            // anchor the label on the side facing the spoke.
+            elem.css({left: Math.round(x - elem.outerWidth() * (1 - Math.cos(a)) / 2), top: Math.round(y - elem.outerHeight() * (1 - Math.sin(a)) / 2)});
+        }
+        if (this.showTickLabels && n) {
+            var formatter = yaxis.tickOptions.formatter || $.jqplot.DefaultTickFormatter,
+                fstr = yaxis.tickOptions.formatString || yaxis._radarFormatString;
+            a = spokeAngle(xaxis, 0);
+            for (i=0; i<ticks.length; i++) {
+                r = radialDistance(yaxis, ticks[i], geo.radius);
+                elem = $('<div class="jqplot-radar-label jqplot-radar-tick-label" style="position:absolute;"></div>');
+                elem.text(formatter(fstr, ticks[i]));
+                this._elem.after(elem);
+                elem.css({left: Math.round(cx + r * Math.cos(a) + 3), top: Math.round(cy + r * Math.sin(a) - elem.outerHeight()/2)});
+            }
+        }
+        elem = null;
+    };
+
+    // setup default renderers for axes and grid so user doesn't have to
+    // called with scope of plot
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axesDefaults = options.axesDefaults || {};
+        options.grid = options.grid || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        // only set these if there is a radar series
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.RadarRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.RadarRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        
+        if (setopts) {
+            options.axesDefaults.renderer = $.jqplot.RadarAxisRenderer;
+            options.grid.renderer = options.grid.renderer || $.jqplot.RadarGridRenderer;
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+
+    $.jqplot.preInitHooks.push(preInit);
+
+    function highlight (plot, sidx, pidx) {
+        var s = plot.series[sidx];
+        var p = s.gridData[pidx];
+        var canvas = plot.plugins.radarRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.radarRenderer.highlightedSeriesIndex = sidx;
+        s.renderer.shapeRenderer.draw(canvas._ctx, [p[0], p[1], s.markerRenderer.size/2 + 4, 0, 2*Math.PI, true], {isarc:true, fill:true, fillStyle:s.highlightColor, closePath:false});
+        s.markerRenderer.draw(p[0], p[1], canvas._ctx);
+        canvas = null;
+    }
+    
+    function unhighlight (plot) {
+        var canvas = plot.plugins.radarRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+        }
+        plot.plugins.radarRenderer.highlightedSeriesIndex = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas = null;
+    }
+
+    // only handle neighbors on radar series.
+    function isRadar(plot, neighbor) {
+        return (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.RadarRenderer);
+    }
+ 
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        if (isRadar(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            if (plot.series[ins[0]].highlightMouseOver && !(ins[0] == plot.plugins.radarRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+        }
+        else if (neighbor == null && plot.plugins.radarRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    } 
+    
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        if (isRadar(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            if (plot.series[ins[0]].highlightMouseDown && !(ins[0] == plot.plugins.radarRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+        }
+        else if (neighbor == null && plot.plugins.radarRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+    
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.radarRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+    
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isRadar(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }
+    
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isRadar(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var idx = plot.plugins.radarRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }    
+    
+    // called within context of plot
+    // create a canvas which we can draw on.
+    // insert it before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        // Memory Leaks patch    
+        if (this.plugins.radarRenderer && this.plugins.radarRenderer.highlightCanvas) {
+            this.plugins.radarRenderer.highlightCanvas.resetCanvas();
+            this.plugins.radarRenderer.highlightCanvas = null;
+        }
+
+        this.plugins.radarRenderer = {highlightedSeriesIndex:null};
+        this.plugins.radarRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+        this.eventCanvas._elem.before(this.plugins.radarRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-radarRenderer-highlight-canvas', this._plotDimensions, this));
+        this.plugins.radarRenderer.highlightCanvas.setContext();
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); });
+    }
+})(jQuery);
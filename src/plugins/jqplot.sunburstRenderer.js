@@ -0,0 +1,645 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.SunburstRenderer
+     * Plugin renderer to draw hierarchical data as rings of arcs, each
+     * node's children sitting in the next ring out within its angle span.
+     * 
+     * To use this renderer, you need to include the 
+     * sunburst renderer plugin, for example:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.sunburstRenderer.js"></script>
+     * 
+     * Data is given like for the <$.jqplot.TreemapRenderer>, each point a
+     * node label followed by its value, or by an array of child nodes in
+     * the same form, and optionally an object of node options like color:
+     * 
+     * > dat = [['Documents', [['Reports', 120], ['Photos', [['2015', 340], ['2016', 410]]]]],
+     * >        ['Music', 520, {color:'#c5b47f'}],
+     * >        ['Other', 45]]
+     * > plot = $.jqplot('chart', [dat], {
+     * >     seriesDefaults: {
+     * >         renderer:$.jqplot.SunburstRenderer,
+     * >         rendererOptions:{showDataLabels:true}
+     * >     }
+     * > });
+     * 
+     * The value of a node with children is the sum of their values.  The
+     * top level nodes take the series colors, and their descendants
+     * lighter shades of their parent's color.
+     * 
+     * Moving the mouse over an arc shows the path down to it above the
+     * plot.  Clicking an arc with children drills into it: its children
+     * take the inner ring all the way around, keeping their colors, and
+     * the hole in the middle stands for the node itself.  Clicking the
+     * hole goes back up a level.
+     * 
+     * A sunburst plot will trigger events on the plot target according to
+     * user interaction.  All events return the event object, the series
+     * index, the node index and the node.  Nodes have label, value,
+     * depth, parent, children and path (array of labels from the top)
+     * properties.
+     * 
+     * 'jqplotDataMouseOver' - triggered when user mouseing over an arc.
+     * 'jqplotDataHighlight' - triggered the first time user mouses over an arc,
+     *   if highlighting is enabled.
+     * 'jqplotDataUnhighlight' - triggered when a user moves the mouse out of
+     *   a highlighted arc.
+     * 'jqplotDataClick' - triggered when the user clicks on an arc.
+     * 'jqplotDataRightClick' - tiggered when the user right clicks on an arc if
+     * the "captureRightClick" option is set to true on the plot.
+     * 'jqplotSunburstZoom' - triggered when drilling in or out, with the
+     *   event object, the series index and the node in the middle.
+     */
+    $.jqplot.SunburstRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.SunburstRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.SunburstRenderer.prototype.constructor = $.jqplot.SunburstRenderer;
+    
+    // called with scope of a series
+    $.jqplot.SunburstRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: diameter
+        // Outer diameter of the sunburst, auto computed by default.
+        this.diameter = null;
+        // prop: innerDiameter
+        // Diameter of the hole in the middle.  Default is twice the
+        // thickness of the rings.
+        this.innerDiameter = null;
+        // prop: padding
+        // padding between the sunburst and plot edges.
+        this.padding = 20;
+        // prop: ringMargin
+        // Pixels between the rings.
+        this.ringMargin = 1;
+        // prop: startAngle
+        // Angle in degrees the first top level node starts at, going clockwise.
+        // According to orientation of canvas coordinate system:
+        // 0 = on the positive x axis
+        // -90 = on the positive y axis.
+        this.startAngle = -90;
+        // prop: maxDepth
+        // Number of rings to draw.  null for all levels.
+        this.maxDepth = null;
+        // prop: colorStep
+        // Fraction from 0 to 1 each level is lightened towards white
+        // from the color of its parent.
+        this.colorStep = 0.2;
+        // prop: borderColor
+        // Color of the lines between the arcs.
+        this.borderColor = '#ffffff';
+        // prop: borderWidth
+        // Width of the lines between the arcs in pixels.
+        this.borderWidth = 1;
+        // prop: showDataLabels
+        // true to show labels on the arcs which they fit in.
+        this.showDataLabels = false;
+        // prop: dataLabels
+        // 'label', 'value' or 'percent' of the shown total to put on the arcs.
+        this.dataLabels = 'label';
+        // prop: dataLabelFormatString
+        // Format string for data labels.  If none, '%s' is used for "label",
+        // '%d' for value and '%d%%' for percentage.
+        this.dataLabelFormatString = null;
+        // prop: dataLabelThreshold
+        // Threshhold in percentage (0 - 100) of the shown total, below which
+        // no label will be displayed.
+        this.dataLabelThreshold = 3;
+        // prop: showBreadcrumb
+        // True to show the path to the moused over arc, or to the node
+        // drilled into, above the plot.
+        this.showBreadcrumb = true;
+        // prop: zoomOnClick
+        // True to drill into an arc when clicking it, and back out
+        // when clicking the hole.
+        this.zoomOnClick = true;
+        // prop: highlightMouseOver
+        // True to highlight an arc when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on an arc.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over an arc.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color drawn over a highlighted arc.
+        this.highlightColor = 'rgba(255, 255, 255, 0.35)';
+        this._type = 'sunburst';
+        
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+        
+        $.extend(true, this, options);
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+
+        // index of the currenty highlighted node, if any
+        this._highlightedPoint = null;
+        this._center = null;
+        this._holeRadius = 0;
+        // nodes drawn and their [start angle, end angle, inner radius, outer radius]
+        // arcs, angles in radians clockwise from startAngle.
+        this._nodes = [];
+        this._nodeArcs = [];
+        this._labelElems = [];
+        this._breadcrumbElem = null;
+        this._root = {label:this.label, value:0, depth:0, parent:null, children:[], path:[]};
+        for (var i=0; i<this.data.length; i++) {
+            this._root.children.push(buildNode(this.data[i], this._root));
+            this._root.value += this._root.children[i].value;
+        }
+        // node in the middle.
+        this._view = this._root;
+        
+        plot.postParseOptionsHooks.addOnce(postParseOptions);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+        plot.postDrawHooks.addOnce(postPlotDraw);
+    };
+
+    // Node of point p, [label, value or children, options], under parent.
+    function buildNode(p, parent) {
+        var node = $.extend({}, p[2], {label:p[0], value:0, depth:parent.depth+1, parent:parent, children:[], path:parent.path.concat([p[0]]), data:p});
+        if ($.isArray(p[1])) {
+            for (var i=0; i<p[1].length; i++) {
+                node.children.push(buildNode(p[1][i], node));
+                node.value += node.children[i].value;
+            }
+        }
+        else if (p[1] > 0) {
+            node.value = p[1];
+        }
+        return node;
+    }
+    
+    // Nothing is positioned on the axes, the layout is done when drawing.
+    $.jqplot.SunburstRenderer.prototype.setGridData = function(plot) {
+        this.gridData = [];
+    };
+    
+    $.jqplot.SunburstRenderer.prototype.makeGridData = function(data, plot) {
+        return [];
+    };
+
+    // Number of levels below node with a value, up to max.
+    function treeDepth(node, max) {
+        var d = 0;
+        if (max === 0) {
+            return 0;
+        }
+        for (var i=0; i<node.children.length; i++) {
+            if (node.children[i].value > 0) {
+                d = Math.max(d, 1 + treeDepth(node.children[i], (max == null) ? null : max - 1));
+            }
+        }
+        return d;
+    }
+
+    // color lightened towards white by fraction t.
+    function lighten(color, t) {
+        var c = $.jqplot.getColorComponents(color),
+            rgb = [];
+        for (var j=0; j<3; j++) {
+            rgb.push(Math.round(c[j] + (255 - c[j]) * t));
+        }
+        return 'rgba(' + rgb.join(',') + ',' + c[3] + ')';
+    }
+
+    // called with scope of series.
+    // Colors the nodes under node, from the top of the tree so the
+    // colors stay the same when drilling in.
+    function colorNodes(node, color) {
+        var kids = [], kid, i;
+        for (i=0; i<node.children.length; i++) {
+            if (node.children[i].value > 0) {
+                kids.push(node.children[i]);
+            }
+        }
+        for (i=0; i<kids.length; i++) {
+            kid = kids[i];
+            if (kid.color) {
+                kid._color = kid.color;
+            }
+            // top level nodes take the series colors, the levels under
+            // them shades of their parent's.
+            else if (node === this._root) {
+                kid._color = this.seriesColors[i % this.seriesColors.length];
+            }
+            else {
+                kid._color = lighten(color, this.colorStep * (0.75 + 0.5 * ((kids.length > 1) ? i / (kids.length - 1) : 0.5)));
+            }
+            colorNodes.call(this, kid, kid._color);
+        }
+    }
+
+    // called with scope of series.
+    // Lays the children of node out over angles a1 to a2 in the ring
+    // after its own, adding them to the drawn nodes.
+    function layout(node, a1, a2, ring, thickness) {
+        var kids = [], ang = a1, span, kid, ri, i;
+        if (this.maxDepth != null && ring > this.maxDepth) {
+            return;
+        }
+        for (i=0; i<node.children.length; i++) {
+            if (node.children[i].value > 0) {
+                kids.push(node.children[i]);
+            }
+        }
+        ri = this._holeRadius + (ring - 1) * thickness;
+        for (i=0; i<kids.length; i++) {
+            kid = kids[i];
+            span = (a2 - a1) * kid.value / node.value;
+            this._nodes.push(kid);
+            this._nodeArcs.push([ang, ang + span, ri + ((ring > 1) ? this.ringMargin : 0), ri + thickness]);
+            layout.call(this, kid, ang, ang + span, ring + 1, thickness);
+            ang += span;
+        }
+    }
+
+    // called with scope of series.
+    // Outlines the path of arc a, angles relative to startAngle.
+    function arcPath(ctx, a) {
+        var sa = this.startAngle / 180 * Math.PI,
+            a1 = a[0] + sa,
+            a2 = a[1] + sa;
+        ctx.beginPath();
+        ctx.arc(this._center[0], this._center[1], a[3], a1, a2, false);
+        ctx.arc(this._center[0], this._center[1], a[2], a2, a1, true);
+        ctx.closePath();
+    }
+
+    // called with scope of series.
+    // Text of the data label of node.
+    function labelText(node) {
+        var fstr;
+        if (this.dataLabels == 'value') {
+            fstr = this.dataLabelFormatString || '%d';
+            return $.jqplot.sprintf(fstr, node.value);
+        }
+        else if (this.dataLabels == 'percent') {
+            fstr = this.dataLabelFormatString || '%d%%';
+            return $.jqplot.sprintf(fstr, 100 * node.value / this._view.value);
+        }
+        fstr = this.dataLabelFormatString || '%s';
+        return $.jqplot.sprintf(fstr, node.label);
+    }
+    
+    $.jqplot.SunburstRenderer.prototype.draw = function (ctx, gd, options, plot) {
+        var opts = (options != undefined) ? options : {};
+        //see http://stackoverflow.com/questions/20221461/hidpi-retina-plot-drawing
+        var cw = parseInt(ctx.canvas.style.width, 10);
+        var ch = parseInt(ctx.canvas.style.height, 10);
+        var top = 0;
+        var sa = this.startAngle / 180 * Math.PI;
+        var rings, radius, thickness, i, a, elem, mid, rm, x, y;
+
+        this._nodes = [];
+        this._nodeArcs = [];
+        for (i=0; i<this._labelElems.length; i++) {
+            this._labelElems[i].remove();
+        }
+        this._labelElems = [];
+        if (this._breadcrumbElem) {
+            this._breadcrumbElem.remove();
+            this._breadcrumbElem = null;
+        }
+
+        if (this.showBreadcrumb) {
+            this._breadcrumbElem = $('<div class="jqplot-sunburst-breadcrumb" style="position:absolute;">&nbsp;</div>');
+            this._breadcrumbElem.css({left: this.canvas._offsets.left, top: this.canvas._offsets.top});
+            plot.eventCanvas._elem.before(this._breadcrumbElem);
+            top = this._breadcrumbElem.outerHeight(true);
+            showPath(this, null);
+        }
+
+        rings = treeDepth(this._view, this.maxDepth);
+        radius = (this.diameter != null) ? this.diameter / 2 : Math.min(cw - 2 * this.padding, ch - top - 2 * this.padding) / 2;
+        if (this._view.value <= 0 || rings == 0 || radius < 6) {
+            this._center = null;
+            return;
+        }
+        this._center = [cw / 2, top + (ch - top) / 2];
+        if (this.innerDiameter != null) {
+            this._holeRadius = this.innerDiameter / 2;
+            thickness = (radius - this._holeRadius) / rings;
+        }
+        else {
+            thickness = radius / (rings + 1);
+            this._holeRadius = thickness;
+        }
+        colorNodes.call(this, this._root, null);
+        layout.call(this, this._view, 0, 2 * Math.PI, 1, thickness);
+
+        ctx.save();
+        ctx.lineWidth = this.borderWidth;
+        ctx.strokeStyle = this.borderColor;
+        for (i=0; i<this._nodes.length; i++) {
+            a = this._nodeArcs[i];
+            arcPath.call(this, ctx, a);
+            ctx.fillStyle = this._nodes[i]._color;
+            ctx.fill();
+            if (this.borderWidth > 0) {
+                ctx.stroke();
+            }
+
+            if (this.showDataLabels && 100 * this._nodes[i].value / this._view.value >= this.dataLabelThreshold) {
+                elem = $('<div class="jqplot-sunburst-label jqplot-data-label" style="position:absolute;"></div>');
+                elem.text(labelText.call(this, this._nodes[i]));
+                elem.insertBefore(plot.eventCanvas._elem);
+                mid = (a[0] + a[1]) / 2 + sa;
+                rm = (a[2] + a[3]) / 2;
+                // hide labels longer than the arc or taller than the ring.
+                if (elem.outerWidth() > Math.max(a[1] - a[0], 0) * rm || elem.outerHeight() > a[3] - a[2]) {
+                    elem.remove();
+                }
+                else {
+                    x = this._center[0] + Math.cos(mid) * rm + this.canvas._offsets.left - elem.outerWidth() / 2;
+                    y = this._center[1] + Math.sin(mid) * rm + this.canvas._offsets.top - elem.outerHeight() / 2;
+                    elem.css({left: Math.round(x), top: Math.round(y)});
+                    this._labelElems.push(elem);
+                }
+            }
+        }
+        ctx.restore();
+    };
+    
+    $.jqplot.SunburstRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on sunbursts.
+    };
+
+    // Shows the path down to node in the breadcrumb of series s,
+    // or to the node drilled into if node is null.
+    function showPath(s, node) {
+        var path;
+        if (!s._breadcrumbElem) {
+            return;
+        }
+        if (node) {
+            path = node.path.join(' \u203a ') + ' (' + $.jqplot.sprintf('%.1f%%', 100 * node.value / s._root.value) + ')';
+        }
+        else {
+            path = s._view.path.join(' \u203a ');
+        }
+        if (path) {
+            s._breadcrumbElem.text(path);
+        }
+        else {
+            s._breadcrumbElem.html('&nbsp;');
+        }
+    }
+
+    // called with scope of series.
+    // Puts node in the middle, or the top of the tree if node is null.
+    $.jqplot.SunburstRenderer.prototype.zoomTo = function(node, plot) {
+        this._view = node || this._root;
+        if (plot.plugins.sunburstRenderer && plot.plugins.sunburstRenderer.highlightedSeriesIndex != null) {
+            unhighlight(plot);
+        }
+        plot.drawSeries(this.index);
+        var evt = jQuery.Event('jqplotSunburstZoom');
+        plot.target.trigger(evt, [this.index, this._view]);
+    };
+    
+    $.jqplot.SunburstAxisRenderer = function() {
+        $.jqplot.LinearAxisRenderer.call(this);
+    };
+    
+    $.jqplot.SunburstAxisRenderer.prototype = new $.jqplot.LinearAxisRenderer();
+    $.jqplot.SunburstAxisRenderer.prototype.constructor = $.jqplot.SunburstAxisRenderer;
+        
+    // There are no axes on a sunburst.  We just need to provide
+    // dummy objects with properties so the plot will render.
+    // called with scope of axis object.
+    $.jqplot.SunburstAxisRenderer.prototype.init = function(options){
+        this.tickRenderer = $.jqplot.AxisTickRenderer;
+        $.extend(true, this, options);
+        this._dataBounds = {min:0, max:100};
+        this.min = 0;
+        this.max = 100;
+        this.showTicks = false;
+        this.ticks = [];
+        this.showMark = false;
+        this.show = false; 
+    };
+    
+    // setup default renderers for axes so user doesn't have to
+    // called with scope of plot
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axesDefaults = options.axesDefaults || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        // only set these if there is a sunburst series
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.SunburstRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.SunburstRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        
+        if (setopts) {
+            options.axesDefaults.renderer = $.jqplot.SunburstAxisRenderer;
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+    
+    // called with scope of plot
+    function postParseOptions(options) {
+        for (var i=0; i<this.series.length; i++) {
+            this.series[i].seriesColors = this.seriesColors;
+        }
+    }
+
+    function highlight (plot, sidx, pidx) {
+        var s = plot.series[sidx];
+        var canvas = plot.plugins.sunburstRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.sunburstRenderer.highlightedSeriesIndex = sidx;
+        canvas._ctx.save();
+        arcPath.call(s, canvas._ctx, s._nodeArcs[pidx]);
+        canvas._ctx.fillStyle = s.highlightColor;
+        canvas._ctx.fill();
+        canvas._ctx.restore();
+        canvas = null;
+    }
+    
+    function unhighlight (plot) {
+        var canvas = plot.plugins.sunburstRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+            if (plot.series[i].renderer.constructor == $.jqplot.SunburstRenderer) {
+                showPath(plot.series[i], null);
+            }
+        }
+        plot.plugins.sunburstRenderer.highlightedSeriesIndex = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas = null;
+    }
+
+    // only handle neighbors on sunburst series.
+    function isSunburst(plot, neighbor) {
+        return (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.SunburstRenderer);
+    }
+ 
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        if (isSunburst(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            if (plot.series[ins[0]].highlightMouseOver && !(ins[0] == plot.plugins.sunburstRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+            showPath(plot.series[ins[0]], neighbor.data);
+        }
+        else if (neighbor == null && plot.plugins.sunburstRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    } 
+    
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        if (isSunburst(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            if (plot.series[ins[0]].highlightMouseDown && !(ins[0] == plot.plugins.sunburstRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+        }
+        else if (neighbor == null && plot.plugins.sunburstRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+    
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.sunburstRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+    
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        var s, evt, i, x, y;
+        if (isSunburst(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            s = plot.series[ins[0]];
+            evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+            if (s.zoomOnClick && !evt.isDefaultPrevented() && neighbor.data.children.length) {
+                s.renderer.zoomTo.call(s, neighbor.data, plot);
+            }
+        }
+        else if (neighbor == null) {
+            // a click in the hole goes back up a level.
+            for (i=0; i<plot.series.length; i++) {
+                s = plot.series[i];
+                if (s.renderer.constructor == $.jqplot.SunburstRenderer && s.zoomOnClick && s._center && s._view !== s._root) {
+                    x = gridpos.x - s._center[0];
+                    y = gridpos.y - s._center[1];
+                    if (Math.sqrt(x*x + y*y) < s._holeRadius) {
+                        s.renderer.zoomTo.call(s, s._view.parent, plot);
+                    }
+                }
+            }
+        }
+    }
+    
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isSunburst(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var idx = plot.plugins.sunburstRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }    
+    
+    // called within context of plot
+    // create a canvas which we can draw on.
+    // insert it before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        if (this.plugins.sunburstRenderer && this.plugins.sunburstRenderer.highlightCanvas) {
+            this.plugins.sunburstRenderer.highlightCanvas.resetCanvas();
+            this.plugins.sunburstRenderer.highlightCanvas = null;
+        }
+
+        this.plugins.sunburstRenderer = {highlightedSeriesIndex:null};
+        this.plugins.sunburstRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+        
+        // put the highlight canvas under any data labels.
+        var labels = $(this.targetId+' .jqplot-sunburst-label');
+        if (labels.length) {
+            $(labels[0]).before(this.plugins.sunburstRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-sunburstRenderer-highlight-canvas', this._plotDimensions, this));
+        }
+        else {
+            this.eventCanvas._elem.before(this.plugins.sunburstRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-sunburstRenderer-highlight-canvas', this._plotDimensions, this));
+        }
+        
+        this.plugins.sunburstRenderer.highlightCanvas.setContext();
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); });
+    }
+    
+    $.jqplot.preInitHooks.push(preInit);
+    
+})(jQuery);
@@ -0,0 +1,661 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.TreemapRenderer
+     * Plugin renderer to draw hierarchical data as nested rectangles
+     * with areas proportional to their values.
+     * 
+     * To use this renderer, you need to include the 
+     * treemap renderer plugin, for example:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.treemapRenderer.js"></script>
+     * 
+     * Each point is a node label followed by its value, or by an array of
+     * child nodes in the same form.  An optional object of node options
+     * like color may follow:
+     * 
+     * > dat = [['Documents', [['Reports', 120], ['Photos', [['2015', 340], ['2016', 410]]]]],
+     * >        ['Music', 520, {color:'#c5b47f'}],
+     * >        ['Other', 45]]
+     * > plot = $.jqplot('chart', [dat], {
+     * >     seriesDefaults: {
+     * >         renderer:$.jqplot.TreemapRenderer,
+     * >         rendererOptions:{colorBy:'parent'}
+     * >     }
+     * > });
+     * 
+     * The value of a node with children is the sum of their values.
+     * Rectangles are laid out with the squarified algorithm, which keeps
+     * them close to square.  Nodes with children get a header showing
+     * their label above the rectangles of their children.  Labels which
+     * don't fit in their rectangle are hidden.
+     * 
+     * Clicking a node zooms into the top level node containing it, if that
+     * has children.  While zoomed in, a breadcrumb of the path above the
+     * shown nodes is drawn above them; click any of its entries to zoom
+     * back out to it.
+     * 
+     * A treemap plot will trigger events on the plot target according to
+     * user interaction.  All events return the event object, the series
+     * index, the node index and the node.  Nodes have label, value,
+     * depth, parent, children and path (array of labels from the top)
+     * properties.
+     * 
+     * 'jqplotDataMouseOver' - triggered when user mouseing over a node.
+     * 'jqplotDataHighlight' - triggered the first time user mouses over a node,
+     *   if highlighting is enabled.
+     * 'jqplotDataUnhighlight' - triggered when a user moves the mouse out of
+     *   a highlighted node.
+     * 'jqplotDataClick' - triggered when the user clicks on a node.
+     * 'jqplotDataRightClick' - tiggered when the user right clicks on a node if
+     * the "captureRightClick" option is set to true on the plot.
+     * 'jqplotTreemapZoom' - triggered when zooming in or out, with the
+     *   event object, the series index and the node zoomed to.
+     */
+    $.jqplot.TreemapRenderer = function(){
+        $.jqplot.LineRenderer.call(this);
+    };
+    
+    $.jqplot.TreemapRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.TreemapRenderer.prototype.constructor = $.jqplot.TreemapRenderer;
+    
+    // called with scope of a series
+    $.jqplot.TreemapRenderer.prototype.init = function(options, plot) {
+        // Group: Properties
+        //
+        // prop: colorBy
+        // 'parent' to color each top level node and everything below it
+        // with a series color, or 'value' to color nodes along the colors
+        // scale by their value.
+        this.colorBy = 'parent';
+        // prop: colors
+        // Array of colors the 'value' scale goes through, from the
+        // smallest to the largest value.
+        this.colors = ['#deebf7', '#08519c'];
+        // prop: headerColor
+        // Color of the headers of nodes with children when coloring by value.
+        this.headerColor = '#cccccc';
+        // prop: borderColor
+        // Color of the lines between the rectangles.
+        this.borderColor = '#ffffff';
+        // prop: borderWidth
+        // Width of the lines between the rectangles in pixels.
+        this.borderWidth = 1;
+        // prop: headerHeight
+        // Height of the header of nodes with children in pixels.
+        // 0 to draw their children over the whole node.
+        this.headerHeight = 18;
+        // prop: padding
+        // Pixels between a node with children and its children.
+        this.padding = 2;
+        // prop: maxDepth
+        // Number of levels below the shown node to draw.  null for all.
+        this.maxDepth = null;
+        // prop: showDataLabels
+        // true to show labels on the nodes which they fit in.
+        this.showDataLabels = true;
+        // prop: dataLabels
+        // 'label', 'value' or 'percent' of the shown total to put on the nodes.
+        this.dataLabels = 'label';
+        // prop: dataLabelFormatString
+        // Format string for data labels.  If none, '%s' is used for "label",
+        // '%d' for value and '%d%%' for percentage.
+        this.dataLabelFormatString = null;
+        // prop: zoomOnClick
+        // True to zoom into a node when clicking it.
+        this.zoomOnClick = true;
+        // prop: showBreadcrumb
+        // True to show the path above the shown nodes when zoomed in.
+        this.showBreadcrumb = true;
+        // prop: highlightMouseOver
+        // True to highlight a node when moused over.
+        // This must be false to enable highlightMouseDown to highlight when clicking on a node.
+        this.highlightMouseOver = true;
+        // prop: highlightMouseDown
+        // True to highlight when a mouse button is pressed over a node.
+        // This will be disabled if highlightMouseOver is true.
+        this.highlightMouseDown = false;
+        // prop: highlightColor
+        // Color drawn over a highlighted node.
+        this.highlightColor = 'rgba(255, 255, 255, 0.35)';
+        this._type = 'treemap';
+        
+        // if user has passed in highlightMouseDown option and not set highlightMouseOver, disable highlightMouseOver
+        if (options.highlightMouseDown && options.highlightMouseOver == null) {
+            options.highlightMouseOver = false;
+        }
+        
+        $.extend(true, this, options);
+        if (this.highlightMouseOver) {
+            this.highlightMouseDown = false;
+        }
+
+        // index of the currenty highlighted node, if any
+        this._highlightedPoint = null;
+        // nodes drawn and their [x, y, width, height] rectangles,
+        // parents before their children.
+        this._nodes = [];
+        this._nodeRects = [];
+        this._labelElems = [];
+        this._breadcrumbElem = null;
+        this._root = {label:this.label, value:0, depth:0, parent:null, children:[], path:[]};
+        for (var i=0; i<this.data.length; i++) {
+            this._root.children.push(buildNode(this.data[i], this._root));
+            this._root.value += this._root.children[i].value;
+        }
+        // node the plot is zoomed into.
+        this._view = this._root;
+        
+        plot.postParseOptionsHooks.addOnce(postParseOptions);
+        plot.eventListenerHooks.addOnce('jqplotMouseMove', handleMove);
+        plot.eventListenerHooks.addOnce('jqplotMouseDown', handleMouseDown);
+        plot.eventListenerHooks.addOnce('jqplotMouseUp', handleMouseUp);
+        plot.eventListenerHooks.addOnce('jqplotClick', handleClick);
+        plot.eventListenerHooks.addOnce('jqplotRightClick', handleRightClick);
+        plot.postDrawHooks.addOnce(postPlotDraw);
+    };
+
+    // Node of point p, [label, value or children, options], under parent.
+    function buildNode(p, parent) {
+        var node = $.extend({}, p[2], {label:p[0], value:0, depth:parent.depth+1, parent:parent, children:[], path:parent.path.concat([p[0]]), data:p});
+        if ($.isArray(p[1])) {
+            for (var i=0; i<p[1].length; i++) {
+                node.children.push(buildNode(p[1][i], node));
+                node.value += node.children[i].value;
+            }
+        }
+        else if (p[1] > 0) {
+            node.value = p[1];
+        }
+        return node;
+    }
+    
+    // Nothing is positioned on the axes, the layout is done when drawing.
+    $.jqplot.TreemapRenderer.prototype.setGridData = function(plot) {
+        this.gridData = [];
+    };
+    
+    $.jqplot.TreemapRenderer.prototype.makeGridData = function(data, plot) {
+        return [];
+    };
+
+    // Largest aspect ratio of the rectangles of areas row laid out
+    // along a side of length side.
+    function worstRatio(row, side) {
+        var sum = 0, max = 0, min = null, i;
+        for (i=0; i<row.length; i++) {
+            sum += row[i];
+            max = Math.max(max, row[i]);
+            min = (min === null) ? row[i] : Math.min(min, row[i]);
+        }
+        return Math.max(side * side * max / (sum * sum), (sum * sum) / (side * side * min));
+    }
+
+    // Squarified layout of nodes, sorted by decreasing value, in
+    // rect [x, y, width, height].  Returns their rectangles.
+    function squarify(nodes, rect, total) {
+        var scale = rect[2] * rect[3] / total,
+            r = rect.slice(0),
+            rects = [],
+            row = [],
+            areas = [],
+            i = 0,
+            side, area;
+        while (i < nodes.length) {
+            side = Math.min(r[2], r[3]);
+            area = nodes[i].value * scale;
+            if (!row.length || worstRatio(areas.concat([area]), side) <= worstRatio(areas, side)) {
+                row.push(nodes[i]);
+                areas.push(area);
+                i++;
+            }
+            else {
+                r = layoutRow(areas, r, rects);
+                row = [];
+                areas = [];
+            }
+        }
+        if (row.length) {
+            layoutRow(areas, r, rects);
+        }
+        return rects;
+    }
+
+    // Lays a row of areas along the shorter side of r, pushing their
+    // rectangles onto rects.  Returns what is left of r.
+    function layoutRow(areas, r, rects) {
+        var sum = 0, pos, len, i;
+        for (i=0; i<areas.length; i++) {
+            sum += areas[i];
+        }
+        if (r[2] >= r[3]) {
+            len = (r[3] > 0) ? sum / r[3] : 0;
+            pos = r[1];
+            for (i=0; i<areas.length; i++) {
+                rects.push([r[0], pos, len, (len > 0) ? areas[i] / len : 0]);
+                pos += rects[rects.length-1][3];
+            }
+            return [r[0] + len, r[1], r[2] - len, r[3]];
+        }
+        len = (r[2] > 0) ? sum / r[2] : 0;
+        pos = r[0];
+        for (i=0; i<areas.length; i++) {
+            rects.push([pos, r[1], (len > 0) ? areas[i] / len : 0, len]);
+            pos += rects[rects.length-1][2];
+        }
+        return [r[0], r[1] + len, r[2], r[3] - len];
+    }
+
+    // called with scope of series.
+    // Lays out the children of node in rect, adding them to the drawn nodes.
+    function layout(node, rect, color) {
+        var kids = [], rects, kid, r, inner, i;
+        for (i=0; i<node.children.length; i++) {
+            if (node.children[i].value > 0) {
+                kids.push(node.children[i]);
+            }
+        }
+        kids.sort(function(a, b) { return b.value - a.value; });
+        rects = squarify(kids, rect, node.value);
+        for (i=0; i<kids.length; i++) {
+            kid = kids[i];
+            r = rects[i];
+            if (r[2] < 1 || r[3] < 1) {
+                continue;
+            }
+            // top level nodes pick the colors of everything under them.
+            kid._color = kid.color || ((node === this._view) ? this.seriesColors[i % this.seriesColors.length] : color);
+            kid._expanded = false;
+            this._nodes.push(kid);
+            this._nodeRects.push(r);
+            if (kid.children.length && (this.maxDepth == null || kid.depth - this._view.depth < this.maxDepth)) {
+                inner = [r[0] + this.padding, r[1] + this.padding + this.headerHeight, r[2] - 2 * this.padding, r[3] - 2 * this.padding - this.headerHeight];
+                if (inner[2] >= 1 && inner[3] >= 1) {
+                    kid._expanded = true;
+                    layout.call(this, kid, inner, kid._color);
+                }
+            }
+        }
+    }
+
+    // CSS color at position t from 0 to 1 along colors.
+    function scaleColor(colors, t) {
+        var pos = t * (colors.length - 1),
+            i = Math.min(Math.floor(pos), colors.length - 2),
+            f = pos - i,
+            a, b, rgb = [], j;
+        if (colors.length == 1) {
+            return colors[0];
+        }
+        a = $.jqplot.getColorComponents(colors[i]);
+        b = $.jqplot.getColorComponents(colors[i+1]);
+        for (j=0; j<3; j++) {
+            rgb.push(Math.round(a[j] + (b[j] - a[j]) * f));
+        }
+        return 'rgba(' + rgb.join(',') + ',' + (a[3] + (b[3] - a[3]) * f) + ')';
+    }
+
+    // called with scope of series.
+    // Fill color of the drawn node at index idx.
+    function nodeColor(idx, min, max) {
+        var node = this._nodes[idx];
+        if (this.colorBy != 'value' || node.color) {
+            return node._color;
+        }
+        if (node._expanded) {
+            return this.headerColor;
+        }
+        return scaleColor(this.colors, (max > min) ? (node.value - min) / (max - min) : 0.5);
+    }
+
+    // called with scope of series.
+    // Text of the data label of node.
+    function labelText(node) {
+        var fstr;
+        if (this.dataLabels == 'value') {
+            fstr = this.dataLabelFormatString || '%d';
+            return $.jqplot.sprintf(fstr, node.value);
+        }
+        else if (this.dataLabels == 'percent') {
+            fstr = this.dataLabelFormatString || '%d%%';
+            return $.jqplot.sprintf(fstr, 100 * node.value / this._view.value);
+        }
+        fstr = this.dataLabelFormatString || '%s';
+        return $.jqplot.sprintf(fstr, node.label);
+    }
+    
+    $.jqplot.TreemapRenderer.prototype.draw = function (ctx, gd, options, plot) {
+        var opts = (options != undefined) ? options : {};
+        //see http://stackoverflow.com/questions/20221461/hidpi-retina-plot-drawing
+        var cw = parseInt(ctx.canvas.style.width, 10);
+        var ch = parseInt(ctx.canvas.style.height, 10);
+        var top = 0;
+        var min = null, max = null;
+        var i, node, r, elem;
+
+        this._nodes = [];
+        this._nodeRects = [];
+        for (i=0; i<this._labelElems.length; i++) {
+            this._labelElems[i].remove();
+        }
+        this._labelElems = [];
+        if (this._breadcrumbElem) {
+            this._breadcrumbElem.remove();
+            this._breadcrumbElem = null;
+        }
+
+        if (this.showBreadcrumb && this._view !== this._root) {
+            this._breadcrumbElem = breadcrumb.call(this, plot);
+            top = this._breadcrumbElem.outerHeight(true);
+        }
+        if (this._view.value <= 0 || cw <= 0 || ch - top <= 0) {
+            return;
+        }
+        layout.call(this, this._view, [0, top, cw, ch - top], null);
+
+        for (i=0; i<this._nodes.length; i++) {
+            if (!this._nodes[i]._expanded) {
+                min = (min === null) ? this._nodes[i].value : Math.min(min, this._nodes[i].value);
+                max = (max === null) ? this._nodes[i].value : Math.max(max, this._nodes[i].value);
+            }
+        }
+
+        ctx.save();
+        ctx.lineWidth = this.borderWidth;
+        ctx.strokeStyle = this.borderColor;
+        for (i=0; i<this._nodes.length; i++) {
+            node = this._nodes[i];
+            r = this._nodeRects[i];
+            ctx.fillStyle = nodeColor.call(this, i, min, max);
+            ctx.fillRect(r[0], r[1], r[2], r[3]);
+            if (this.borderWidth > 0) {
+                ctx.strokeRect(r[0], r[1], r[2], r[3]);
+            }
+
+            if (this.showDataLabels) {
+                elem = $('<div class="jqplot-treemap-label jqplot-data-label" style="position:absolute;"></div>');
+                elem.text(labelText.call(this, node));
+                elem.insertBefore(plot.eventCanvas._elem);
+                // hide labels which don't fit their node, or its header.
+                if (elem.outerWidth() > r[2] - 4 || elem.outerHeight() > ((node._expanded && this.headerHeight) ? this.headerHeight + this.padding : r[3]) - 4) {
+                    elem.remove();
+                }
+                else {
+                    elem.css({left: Math.round(r[0] + 3 + this.canvas._offsets.left), top: Math.round(r[1] + 2 + this.canvas._offsets.top)});
+                    this._labelElems.push(elem);
+                }
+            }
+        }
+        ctx.restore();
+    };
+    
+    $.jqplot.TreemapRenderer.prototype.drawShadow = function(ctx, gd, options) {
+        // This is a no-op, no shadows on treemaps.
+    };
+
+    // called with scope of series.
+    // Element listing the path down to the shown node, each entry
+    // zooming out to its node when clicked.
+    function breadcrumb(plot) {
+        var series = this;
+        var elem = $('<div class="jqplot-treemap-breadcrumb" style="position:absolute;"></div>');
+        var node = this._view;
+        var nodes = [];
+        var i, crumb;
+        while (node) {
+            nodes.unshift(node);
+            node = node.parent;
+        }
+        for (i=0; i<nodes.length; i++) {
+            if (i > 0) {
+                elem.append(' &rsaquo; ');
+            }
+            crumb = $('<span class="jqplot-treemap-crumb"></span>');
+            crumb.text((nodes[i] === this._root) ? this.label : nodes[i].label);
+            if (i < nodes.length - 1) {
+                crumb.css('cursor', 'pointer');
+                crumb.bind('click', {node:nodes[i]}, function(ev) {
+                    series.renderer.zoomTo.call(series, ev.data.node, plot);
+                });
+            }
+            elem.append(crumb);
+        }
+        elem.css({left: this.canvas._offsets.left, top: this.canvas._offsets.top});
+        // after the event canvas so it gets the clicks.
+        plot.eventCanvas._elem.after(elem);
+        return elem;
+    }
+
+    // called with scope of series.
+    // Shows node and the nodes under it, or all nodes if node is null.
+    $.jqplot.TreemapRenderer.prototype.zoomTo = function(node, plot) {
+        this._view = node || this._root;
+        if (plot.plugins.treemapRenderer && plot.plugins.treemapRenderer.highlightedSeriesIndex != null) {
+            unhighlight(plot);
+        }
+        plot.drawSeries(this.index);
+        var evt = jQuery.Event('jqplotTreemapZoom');
+        plot.target.trigger(evt, [this.index, this._view]);
+    };
+    
+    $.jqplot.TreemapAxisRenderer = function() {
+        $.jqplot.LinearAxisRenderer.call(this);
+    };
+    
+    $.jqplot.TreemapAxisRenderer.prototype = new $.jqplot.LinearAxisRenderer();
+    $.jqplot.TreemapAxisRenderer.prototype.constructor = $.jqplot.TreemapAxisRenderer;
+        
+    // There are no axes on a treemap.  We just need to provide
+    // dummy objects with properties so the plot will render.
+    // called with scope of axis object.
+    $.jqplot.TreemapAxisRenderer.prototype.init = function(options){
+        this.tickRenderer = $.jqplot.AxisTickRenderer;
+        $.extend(true, this, options);
+        this._dataBounds = {min:0, max:100};
+        this.min = 0;
+        this.max = 100;
+        this.showTicks = false;
+        this.ticks = [];
+        this.showMark = false;
+        this.show = false; 
+    };
+    
+    // setup default renderers for axes so user doesn't have to
+    // called with scope of plot
+    function preInit(target, data, options) {
+        options = options || {};
+        options.axesDefaults = options.axesDefaults || {};
+        options.seriesDefaults = options.seriesDefaults || {};
+        // only set these if there is a treemap series
+        var setopts = false;
+        if (options.seriesDefaults.renderer == $.jqplot.TreemapRenderer) {
+            setopts = true;
+        }
+        else if (options.series) {
+            for (var i=0; i < options.series.length; i++) {
+                if (options.series[i].renderer == $.jqplot.TreemapRenderer) {
+                    setopts = true;
+                }
+            }
+        }
+        
+        if (setopts) {
+            options.axesDefaults.renderer = $.jqplot.TreemapAxisRenderer;
+            options.seriesDefaults.pointLabels = {show: false};
+        }
+    }
+    
+    // called with scope of plot
+    function postParseOptions(options) {
+        for (var i=0; i<this.series.length; i++) {
+            this.series[i].seriesColors = this.seriesColors;
+        }
+    }
+
+    function highlight (plot, sidx, pidx) {
+        var s = plot.series[sidx];
+        var canvas = plot.plugins.treemapRenderer.highlightCanvas;
+        var r = s._nodeRects[pidx];
+        canvas._ctx.clearRect(0,0,canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        s._highlightedPoint = pidx;
+        plot.plugins.treemapRenderer.highlightedSeriesIndex = sidx;
+        canvas._ctx.fillStyle = s.highlightColor;
+        canvas._ctx.fillRect(r[0], r[1], r[2], r[3]);
+        canvas = null;
+    }
+    
+    function unhighlight (plot) {
+        var canvas = plot.plugins.treemapRenderer.highlightCanvas;
+        canvas._ctx.clearRect(0,0, canvas._ctx.canvas.width, canvas._ctx.canvas.height);
+        for (var i=0; i<plot.series.length; i++) {
+            plot.series[i]._highlightedPoint = null;
+        }
+        plot.plugins.treemapRenderer.highlightedSeriesIndex = null;
+        plot.target.trigger('jqplotDataUnhighlight');
+        canvas = null;
+    }
+
+    // only handle neighbors on treemap series.
+    function isTreemap(plot, neighbor) {
+        return (neighbor && plot.series[neighbor.seriesIndex].renderer.constructor == $.jqplot.TreemapRenderer);
+    }
+ 
+    function handleMove(ev, gridpos, datapos, neighbor, plot) {
+        if (isTreemap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var evt1 = jQuery.Event('jqplotDataMouseOver');
+            evt1.pageX = ev.pageX;
+            evt1.pageY = ev.pageY;
+            plot.target.trigger(evt1, ins);
+            if (plot.series[ins[0]].highlightMouseOver && !(ins[0] == plot.plugins.treemapRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+        }
+        else if (neighbor == null && plot.plugins.treemapRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    } 
+    
+    function handleMouseDown(ev, gridpos, datapos, neighbor, plot) {
+        if (isTreemap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            if (plot.series[ins[0]].highlightMouseDown && !(ins[0] == plot.plugins.treemapRenderer.highlightedSeriesIndex && ins[1] == plot.series[ins[0]]._highlightedPoint)) {
+                var evt = jQuery.Event('jqplotDataHighlight');
+                evt.which = ev.which;
+                evt.pageX = ev.pageX;
+                evt.pageY = ev.pageY;
+                plot.target.trigger(evt, ins);
+                highlight (plot, ins[0], ins[1]);
+            }
+        }
+        else if (neighbor == null && plot.plugins.treemapRenderer.highlightedSeriesIndex != null) {
+            unhighlight (plot);
+        }
+    }
+    
+    function handleMouseUp(ev, gridpos, datapos, neighbor, plot) {
+        var idx = plot.plugins.treemapRenderer.highlightedSeriesIndex;
+        if (idx != null && plot.series[idx].highlightMouseDown) {
+            unhighlight(plot);
+        }
+    }
+    
+    function handleClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isTreemap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var s = plot.series[ins[0]];
+            var evt = jQuery.Event('jqplotDataClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+            if (s.zoomOnClick && !evt.isDefaultPrevented()) {
+                // zoom into the top level node the click was in.
+                var node = neighbor.data;
+                while (node.parent !== s._view) {
+                    node = node.parent;
+                }
+                if (node.children.length) {
+                    s.renderer.zoomTo.call(s, node, plot);
+                }
+            }
+        }
+    }
+    
+    function handleRightClick(ev, gridpos, datapos, neighbor, plot) {
+        if (isTreemap(plot, neighbor)) {
+            var ins = [neighbor.seriesIndex, neighbor.pointIndex, neighbor.data];
+            var idx = plot.plugins.treemapRenderer.highlightedSeriesIndex;
+            if (idx != null && plot.series[idx].highlightMouseDown) {
+                unhighlight(plot);
+            }
+            var evt = jQuery.Event('jqplotDataRightClick');
+            evt.which = ev.which;
+            evt.pageX = ev.pageX;
+            evt.pageY = ev.pageY;
+            plot.target.trigger(evt, ins);
+        }
+    }    
+    
+    // called within context of plot
+    // create a canvas which we can draw on.
+    // insert it before the eventCanvas, so eventCanvas will still capture events.
+    function postPlotDraw() {
+        if (this.plugins.treemapRenderer && this.plugins.treemapRenderer.highlightCanvas) {
+            this.plugins.treemapRenderer.highlightCanvas.resetCanvas();
+            this.plugins.treemapRenderer.highlightCanvas = null;
+        }
+
+        this.plugins.treemapRenderer = {highlightedSeriesIndex:null};
+        this.plugins.treemapRenderer.highlightCanvas = new $.jqplot.GenericCanvas();
+        
+        // put the highlight canvas under any data labels.
+        var labels = $(this.targetId+' .jqplot-treemap-label');
+        if (labels.length) {
+            $(labels[0]).before(this.plugins.treemapRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-treemapRenderer-highlight-canvas', this._plotDimensions, this));
+        }
+        else {
+            this.eventCanvas._elem.before(this.plugins.treemapRenderer.highlightCanvas.createElement(this._gridPadding, 'jqplot-treemapRenderer-highlight-canvas', this._plotDimensions, this));
+        }
+        
+        this.plugins.treemapRenderer.highlightCanvas.setContext();
+        this.eventCanvas._elem.bind('mouseleave', {plot:this}, function (ev) { unhighlight(ev.data.plot); });
+    }
+    
+    $.jqplot.preInitHooks.push(preInit);
+    
+})(jQuery);
@@ -196,6 +196,7 @@
         var y = [];
         var ypred = [];
         
+        // fit the data as the series nullHandling left it, skipping any gaps.
         for (i=0; i<data.length; i++){
             if (data[i] != null && data[i][0] != null && data[i][1] != null) {
                 x.push(data[i][0]);
@@ -0,0 +1,406 @@
+/**
+ * jqPlot
+ * Pure JavaScript plotting plugin using jQuery
+ *
+ * Version: @VERSION
+ * Revision: @REVISION
+ *
+ * Copyright (c) 2009-2016 Chris Leonello
+ * jqPlot is currently available for use in all personal or commercial projects 
+ * under both the MIT (http://www.opensource.org/licenses/mit-license.php) and GPL 
+ * version 2.0 (http://www.gnu.org/licenses/gpl-2.0.html) licenses. This means that you can 
+ * choose the license that best suits your project and use it accordingly. 
+ *
+ * Although not required, the author would appreciate an email letting him 
+ * know of any substantial use of jqPlot.  You can reach the author at: 
+ * chris at jqplot dot com or see http://www.jqplot.com/info.php .
+ *
+ * If you are feeling kind and generous, consider supporting the project by
+ * making a donation at: http://www.jqplot.com/donate.php .
+ *
+ * sprintf functions contained in jqplot.sprintf.js by Ash Searle:
+ *
+ *     version 2007.04.27
+ *     author Ash Searle
+ *     http://hexmen.com/blog/2007/03/printf-sprintf/
+ *     http://hexmen.com/js/sprintf.js
+ *     The author (Ash Searle) has placed this code in the public domain:
+ *     "This code is unrestricted: you are free to use it however you like."
+ * 
+ */
+(function($) {
+    /**
+     * Class: $.jqplot.ViolinRenderer
+     * jqPlot Plugin to draw violin plots, the kernel density estimate of
+     * samples mirrored either side of their position, or density curves.
+     * 
+     * To use this plugin, include the renderer js file in 
+     * your source:
+     * 
+     * > <script type="text/javascript" src="plugins/jqplot.violinRenderer.js"></script>
+     * 
+     * Then you set the renderer in the series options on your plot:
+     * 
+     * > series: [{renderer:$.jqplot.ViolinRenderer, rendererOptions:{inner:'quartiles'}}]
+     * 
+     * Each point is a position followed by the raw samples, like for the
+     * <$.jqplot.BoxPlotRenderer>:
+     * 
+     * > dat = [['GET /', [112, 98, 130, 87, 340, ...]], ['POST /login', [210, 190, ...]], ...]
+     * 
+     * For horizontal violins, set the violinDirection option to 'horizontal'
+     * and put the position last:
+     * 
+     * > dat = [[[112, 98, 130, 87, 340, ...], 'GET /'], ...]
+     * 
+     * With the mode option set to 'density' the series is instead drawn as a
+     * single density curve over the values on the x axis, from the y values
+     * of the data as samples:
+     * 
+     * > $.jqplot('chart', [[112, 98, 130, 87, 340, ...]], {
+     * >     series: [{renderer:$.jqplot.ViolinRenderer, rendererOptions:{mode:'density'}, fill:true}]
+     * > });
+     * 
+     * The density curve is a line series and takes the line options like fill.
+     * The densities are computed by the violin and density series
+     * transforms, which can be used by other series too.
+     */
+    $.jqplot.ViolinRenderer = function(){
+        // subclass line renderer to make use of some of its methods.
+        $.jqplot.LineRenderer.call(this);
+        // prop: mode
+        // 'violin' to draw a violin for each point, or 'density' to draw
+        // one density curve of all the values of the series.
+        this.mode = 'violin';
+        // prop: violinDirection
+        // 'vertical' = up and down violins, 'horizontal' = side to side violins.
+        this.violinDirection = 'vertical';
+        // prop: bandwidth
+        // Bandwidth of the gaussian kernel, or the rule computing it from the
+        // samples: 'scott' or 'silverman'.
+        this.bandwidth = 'scott';
+        // prop: cut
+        // Number of bandwidths the density is drawn past the smallest and
+        // largest samples.
+        this.cut = 2;
+        // prop: gridSize
+        // Number of values the density is computed at.
+        this.gridSize = 64;
+        // prop: side
+        // 'both' to mirror the density either side of the position, 'low'
+        // or 'high' to draw only the left (bottom) or right (top) half.
+        this.side = 'both';
+        // prop: scale
+        // 'area' to draw all violins of the series on the same density scale,
+        // or 'width' to give each violin the full width.
+        this.scale = 'area';
+        // prop: violinWidth
+        // Width of the violins in pixels.  Default will auto calculate
+        // based on the spacing of the violins.
+        this.violinWidth = 'auto';
+        // prop: violinFillColor
+        // Color to fill the violins with.  Default is a translucent series color.
+        this.violinFillColor = null;
+        // prop: inner
+        // What to draw inside the violins: 'box' for a narrow box plot of
+        // the quartiles and range, 'quartiles' for lines across at the
+        // quartiles and median, or 'none'.
+        this.inner = 'box';
+        this._violinWidth;
+    };
+    
+    $.jqplot.ViolinRenderer.prototype = new $.jqplot.LineRenderer();
+    $.jqplot.ViolinRenderer.prototype.constructor = $.jqplot.ViolinRenderer;
+
+    var densityDefaults = {
+        violinDirection: 'vertical',
+        bandwidth: 'scott',
+        cut: 2,
+        gridSize: 64
+    };
+    
+    // called with scope of series.
+    $.jqplot.ViolinRenderer.prototype.init = function(options, plot) {
+        options = options || {};
+        // lineWidth has to be set on the series, changes in renderer
+        // constructor have no effect.  set the default here
+        // if no renderer option for lineWidth is specified.
+        this.lineWidth = options.lineWidth || 1.5;
+        $.jqplot.LineRenderer.prototype.init.call(this, options, plot);
+        var r = this.renderer;
+        if (r.mode === 'density') {
+            return;
+        }
+        this._type = 'violin';
+        this._violinPoints = [];
+        if (r.violinFillColor == null) {
+            var c = $.jqplot.getColorComponents(this.color);
+            r.violinFillColor = 'rgba(' + c[0] + ', ' + c[1] + ', ' + c[2] + ', ' + c[3] * 0.5 + ')';
+        }
+    };
+
+    // Value of sorted values at quantile q.
+    function quantile(sorted, q) {
+        var pos = (sorted.length - 1) * q,
+            lo = Math.floor(pos);
+        if (lo + 1 >= sorted.length) {
+            return sorted[lo];
+        }
+        return sorted[lo] + (sorted[lo+1] - sorted[lo]) * (pos - lo);
+    }
+
+    // Kernel bandwidth of sorted samples by rule, 'scott', 'silverman'
+    // or a number.
+    function bandwidth(sorted, rule) {
+        var n = sorted.length,
+            sum = 0,
+            sq = 0,
+            sd, iqr, spread, i;
+        if (typeof(rule) == 'number') {
+            return rule;
+        }
+        for (i=0; i<n; i++) {
+            sum += sorted[i];
+        }
+        for (i=0; i<n; i++) {
+            sq += Math.pow(sorted[i] - sum / n, 2);
+        }
+        sd = (n > 1) ? Math.sqrt(sq / (n - 1)) : 0;
+        iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+        if (rule === 'silverman') {
+            spread = (iqr > 0) ? Math.min(sd, iqr / 1.34) : sd;
+            return 0.9 * spread * Math.pow(n, -0.2);
+        }
+        return 1.06 * sd * Math.pow(n, -0.2);
+    }
+
+    // Gaussian kernel density estimate of the samples in vals with
+    // options o.  Null if there are no samples.
+    function kde(vals, o) {
+        var sorted = [], values = [], densities = [], max = 0, bw, lo, hi, v, d, i, j;
+        for (i=0; i<vals.length; i++) {
+            if (vals[i] != null) {
+                sorted.push(vals[i]);
+            }
+        }
+        if (!sorted.length) {
+            return null;
+        }
+        sorted.sort(function(a, b) { return a - b; });
+        bw = bandwidth(sorted, o.bandwidth);
+        // all samples the same, give the spike some width.
+        if (!(bw > 0)) {
+            bw = (sorted[0]) ? Math.abs(sorted[0]) * 0.01 : 1;
+        }
+        lo = sorted[0] - o.cut * bw;
+        hi = sorted[sorted.length-1] + o.cut * bw;
+        for (i=0; i<o.gridSize; i++) {
+            v = lo + (hi - lo) * i / (o.gridSize - 1);
+            d = 0;
+            for (j=0; j<sorted.length; j++) {
+                d += Math.exp(-0.5 * Math.pow((v - sorted[j]) / bw, 2));
+            }
+            d /= sorted.length * bw * Math.sqrt(2 * Math.PI);
+            values.push(v);
+            densities.push(d);
+            max = Math.max(max, d);
+        }
+        return {values:values, densities:densities, max:max, bandwidth:bw,
+            low:sorted[0], q1:quantile(sorted, 0.25), median:quantile(sorted, 0.5), q3:quantile(sorted, 0.75), high:sorted[sorted.length-1]};
+    }
+
+    // violin - computes the density of each point's samples, giving a
+    // point at the median with the density as its violin property.  Set
+    // up by the ViolinRenderer from the series rendererOptions.
+    $.jqplot.seriesTransforms.violin = function(data, opts) {
+        var o = $.extend({}, densityDefaults, this.rendererOptions, opts),
+            horizontal = (o.violinDirection === 'horizontal'),
+            ret = [],
+            p, pos, violin, vals, i;
+        this._extentData = [];
+        for (i=0; i<data.length; i++) {
+            pos = (horizontal) ? data[i][data[i].length-1] : data[i][0];
+            vals = (horizontal) ? data[i][0] : data[i][1];
+            violin = ($.isArray(vals)) ? kde(vals, o) : null;
+            if (!violin) {
+                continue;
+            }
+            p = (horizontal) ? [violin.median, pos] : [pos, violin.median];
+            p.violin = violin;
+            if (data[i].point) {
+                p.point = data[i].point;
+            }
+            ret.push(p);
+            // scale the value axis to the tails of the density.
+            vals = [violin.values[0], violin.values[violin.values.length-1]];
+            this._extentData.push((horizontal) ? [vals[0], null] : [null, vals[0]]);
+            this._extentData.push((horizontal) ? [vals[1], null] : [null, vals[1]]);
+        }
+        return ret;
+    };
+
+    // density - the density curve of all the values as [value, density]
+    // points.  Options are bandwidth, cut and gridSize like for the
+    // ViolinRenderer.
+    $.jqplot.seriesTransforms.density = function(data, opts) {
+        var o = $.extend({}, densityDefaults, this.rendererOptions, opts),
+            vidx = (this._stackAxis === 'x') ? 0 : 1,
+            vals = [],
+            ret = [],
+            density, i;
+        for (i=0; i<data.length; i++) {
+            vals = vals.concat(data[i][vidx]);
+        }
+        density = kde(vals, o);
+        if (density) {
+            for (i=0; i<density.values.length; i++) {
+                ret.push([density.values[i], density.densities[i]]);
+            }
+        }
+        return ret;
+    };
+
+    // called with scope of series.
+    // Computes the densities of violin series, done as a series
+    // transform so they are computed again for appended points.
+    function postParseSeriesOptions(seriesDefaults, options) {
+        if (this.renderer !== $.jqplot.ViolinRenderer) {
+            return;
+        }
+        var density = (this.rendererOptions.mode === 'density');
+        if (!density && this.rendererOptions.violinDirection === 'horizontal') {
+            this._stackAxis = 'x';
+            this._primaryAxis = '_yaxis';
+        }
+        this.disableStack = true;
+        if (!this._rawData) {
+            this._rawData = this.data;
+        }
+        this.transforms = this.transforms.concat([(density) ? 'density' : 'violin']);
+        this.data = $.jqplot.seriesTransforms[(density) ? 'density' : 'violin'].call(this, this.data, {});
+    }
+
+    $.jqplot.postParseSeriesOptionsHooks.push(postParseSeriesOptions);
+
+    // Density of violin at value v, interpolated between its grid values.
+    function densityAt(violin, v) {
+        var vals = violin.values,
+            step = vals[1] - vals[0],
+            pos = (v - vals[0]) / step,
+            i = Math.floor(pos);
+        if (i < 0 || i >= vals.length - 1) {
+            return 0;
+        }
+        return violin.densities[i] + (violin.densities[i+1] - violin.densities[i]) * (pos - i);
+    }
+    
+    // called within scope of series.
+    $.jqplot.ViolinRenderer.prototype.draw = function(ctx, gd, options, plot) {
+        var r = this.renderer;
+        if (r.mode === 'density') {
+            $.jqplot.LineRenderer.prototype.draw.call(this, ctx, gd, options, plot);
+            return;
+        }
+        var d = this.data;
+        var horizontal = (r.violinDirection === 'horizontal');
+        var pidx = (horizontal) ? 1 : 0;
+        var vp = (horizontal) ? this._xaxis.series_u2p : this._yaxis.series_u2p;
+        var opts = (options != undefined) ? options : {};
+        var lowSide = (r.side !== 'high') ? 1 : 0;
+        var highSide = (r.side !== 'low') ? 1 : 0;
+        var i, j, w, pos, violin, scale, outline, ops, p, q, half, lo, hi, max;
+        // grid point of value v at pos, the other way round for horizontal violins.
+        var pt = function(pos, v) {
+            return (horizontal) ? [v, pos] : [pos, v];
+        };
+        this._violinPoints = [];
+        ctx.save();
+        if (this.show) {
+            if (typeof(r.violinWidth) == 'number') {
+                r._violinWidth = r.violinWidth;
+            }
+            else {
+                // auto size to the closest spacing between violins.
+                w = null;
+                for (i=1; i<gd.length; i++) {
+                    p = Math.abs(gd[i][pidx] - gd[i-1][pidx]);
+                    if (p && (w === null || p < w)) {
+                        w = p;
+                    }
+                }
+                r._violinWidth = (w === null) ? 60 : Math.min(60, w * 0.8);
+            }
+            w = r._violinWidth;
+            // half violins get the whole width on their side.
+            half = (lowSide && highSide) ? w/2 : w;
+            max = 0;
+            for (i=0; i<d.length; i++) {
+                if (d[i].violin) {
+                    max = Math.max(max, d[i].violin.max);
+                }
+            }
+
+            for (i=0; i<d.length; i++) {
+                violin = d[i].violin;
+                if (!violin || gd[i][pidx] == null) {
+                    this._violinPoints.push(null);
+                    continue;
+                }
+                pos = gd[i][pidx];
+                scale = half / ((r.scale === 'width') ? violin.max : max);
+                if (!isFinite(scale)) {
+                    scale = 0;
+                }
+
+                // up the high side and back down the low side.
+                outline = [];
+                for (j=0; j<violin.values.length; j++) {
+                    outline.push(pt(pos + highSide * violin.densities[j] * scale, vp(violin.values[j])));
+                }
+                for (j=violin.values.length-1; j>=0; j--) {
+                    outline.push(pt(pos - lowSide * violin.densities[j] * scale, vp(violin.values[j])));
+                }
+                ops = $.extend(true, {}, opts, {fill:true, fillStyle:r.violinFillColor});
+                r.shapeRenderer.draw(ctx, outline, ops);
+                ops = $.extend(true, {}, opts, {fill:false, closePath:true});
+                r.shapeRenderer.draw(ctx, outline, ops);
+
+                if (r.inner === 'box') {
+                    // range line, quartile box and a dot at the median.
+                    q = Math.max(w/16, 2);
+                    r.shapeRenderer.draw(ctx, [pt(pos, vp(violin.low)), pt(pos, vp(violin.high))], opts);
+                    ops = $.extend(true, {}, opts, {fillRect:true, fillStyle:this.color});
+                    lo = vp(violin.q1);
+                    hi = vp(violin.q3);
+                    r.shapeRenderer.draw(ctx, (horizontal) ? [lo, pos - q, hi - lo, 2*q] : [pos - q, hi, 2*q, lo - hi], ops);
+                    p = pt(pos, vp(violin.median));
+                    ops = $.extend(true, {}, opts, {isarc:true, fill:true, fillStyle:'#ffffff'});
+                    r.shapeRenderer.draw(ctx, [p[0], p[1], q * 0.75, 0, 2*Math.PI, true], ops);
+                }
+                else if (r.inner === 'quartiles') {
+                    q = [violin.q1, violin.median, violin.q3];
+                    for (j=0; j<3; j++) {
+                        p = densityAt(violin, q[j]) * scale;
+                        ops = $.extend(true, {}, opts, {linePattern:(j == 1) ? 'solid' : 'dashed'});
+                        r.shapeRenderer.draw(ctx, [pt(pos - lowSide * p, vp(q[j])), pt(pos + highSide * p, vp(q[j]))], ops);
+                    }
+                }
+
+                // hit area around the drawn side or sides, corners in bar order.
+                lo = vp(violin.values[0]);
+                hi = vp(violin.values[violin.values.length-1]);
+                this._violinPoints.push([pt(pos - lowSide * half, lo), pt(pos - lowSide * half, hi), pt(pos + highSide * half, hi), pt(pos + highSide * half, lo)]);
+            }
+        }
+        
+        ctx.restore();
+    };  
+    
+    $.jqplot.ViolinRenderer.prototype.drawShadow = function(ctx, gd, options, plot) {
+        // density curves have the line shadow, no shadows on violins.
+        if (this.renderer.mode === 'density') {
+            $.jqplot.LineRenderer.prototype.drawShadow.call(this, ctx, gd, options, plot);
+        }
+    };
+    
+})(jQuery);